@@ -2,7 +2,27 @@
 
 // ====== The State ==================================================]
 
+// Turns a hex color ("#rrggbb" or "#rrggbbaa") into a single number packing its red, green, blue
+// and alpha bytes (0xRRGGBBAA). Every fully transparent color (and "null") packs to 0, the transparent pixel.
+function hexToRgba(color) {
+    if (color == null) return 0;
+    let hex = color.slice(1);
+    if (hex.length == 6) hex += "ff";
+    let rgba = parseInt(hex, 16) >>> 0;
+    return (rgba & 0xff) == 0 ? 0 : rgba;
+}
+
+// Turns a packed color back into a hex color. Opaque colors leave out the alpha ("#rrggbb"),
+// and fully transparent pixels become "null".
+function rgbaToHex(rgba) {
+    let alpha = rgba & 0xff;
+    if (alpha == 0) return null;
+    let hex = "#" + (rgba >>> 8).toString(16).padStart(6, "0");
+    return alpha == 0xff ? hex : hex + alpha.toString(16).padStart(2, "0");
+}
+
 // Represents the area in which the user can draw.
+// The pixels are packed colors (see "hexToRgba") in a typed array, one number per pixel.
 class Picture {
     // Defines the attributes of the Picture.
     constructor(width, height, pixels) {
@@ -10,32 +30,197 @@ class Picture {
         this.height = height;
         this.pixels = pixels;
     }
-    // Finds the color of the pixel stored at the calculated index (x, y)
+    // Finds the color of the pixel stored at the calculated index (x, y) as a hex color
     pixel(x, y) {
+        return rgbaToHex(this.pixels[x + y * this.width]);
+    }
+
+    // Finds the packed color of the pixel stored at the calculated index (x, y)
+    rgba(x, y) {
         return this.pixels[x + y * this.width];
     }
 
-    // Creates an array representing the pixels and applys the starting color (grey).
+    // Creates an array representing the pixels and applys the starting color ("null" for transparent).
     static empty(width, height, color) {
-        let pixels = new Array(width * height).fill(color);
+        let pixels = new Uint32Array(width * height).fill(hexToRgba(color));
         return new Picture(width, height, pixels);
     }
 
     // Returns a new Picture, but with updated pixel data as the user draws.
     draw(pixels) {
         let copy = this.pixels.slice();
+        // Most of the time every pixel has the same color, so it's only converted once.
+        let lastColor, rgba;
         for (let {x, y, color} of pixels) {
-            copy[x + y * this.width] = color;
+            // Pixels outside of the picture are left out.
+            if (x < 0 || x >= this.width || y < 0 || y >= this.height) continue;
+            if (color !== lastColor) {
+                lastColor = color;
+                rgba = hexToRgba(color);
+            }
+            copy[x + y * this.width] = rgba;
+        }
+        return new Picture(this.width, this.height, copy);
+    }
+
+    // Returns a new Picture of the given size showing the area of this one that starts at (left, top).
+    // Parts of that area outside of this picture are transparent, so this can both crop and extend.
+    crop(width, height, left, top) {
+        let pixels = new Uint32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            let fromY = y + top;
+            if (fromY < 0 || fromY >= this.height) continue;
+            for (let x = 0; x < width; x++) {
+                let fromX = x + left;
+                if (fromX >= 0 && fromX < this.width) {
+                    pixels[x + y * width] = this.pixels[fromX + fromY * this.width];
+                }
+            }
+        }
+        return new Picture(width, height, pixels);
+    }
+
+    // Returns a new Picture mirrored from left to right ("horizontal") or from top to bottom ("vertical").
+    flip(direction) {
+        let pixels = new Uint32Array(this.width * this.height);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                let toX = direction == "horizontal" ? this.width - 1 - x : x;
+                let toY = direction == "vertical" ? this.height - 1 - y : y;
+                pixels[toX + toY * this.width] = this.pixels[x + y * this.width];
+            }
+        }
+        return new Picture(this.width, this.height, pixels);
+    }
+
+    // Returns a new Picture turned clockwise by a number of quarter "turns" (1 = 90 degrees).
+    // Turning by 90 or 270 degrees swaps the width and the height.
+    rotate(turns) {
+        turns = ((turns % 4) + 4) % 4;
+        let {width, height} = this;
+        let newWidth = turns % 2 == 1 ? height : width;
+        let newHeight = turns % 2 == 1 ? width : height;
+        let pixels = new Uint32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let to = [
+                    {x, y},
+                    {x: height - 1 - y, y: x},
+                    {x: width - 1 - x, y: height - 1 - y},
+                    {x: y, y: width - 1 - x}
+                ][turns];
+                pixels[to.x + to.y * newWidth] = this.pixels[x + y * width];
+            }
+        }
+        return new Picture(newWidth, newHeight, pixels);
+    }
+
+    // Returns a new Picture shifted "dx" pixels right and "dy" pixels down, with the pixels that
+    // fall off one edge coming back in on the other side.
+    offset(dx, dy) {
+        let {width, height} = this;
+        let pixels = new Uint32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            let toY = (((y + dy) % height) + height) % height;
+            for (let x = 0; x < width; x++) {
+                let toX = (((x + dx) % width) + width) % width;
+                pixels[toX + toY * width] = this.pixels[x + y * width];
+            }
+        }
+        return new Picture(width, height, pixels);
+    }
+
+    // Returns a new Picture stretched (or shrunk) to the given size.
+    // Every new pixel takes the color of the nearest old pixel, so no new colors are made up.
+    scale(width, height) {
+        let pixels = new Uint32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            let fromY = Math.floor(y * this.height / height);
+            for (let x = 0; x < width; x++) {
+                let fromX = Math.floor(x * this.width / width);
+                pixels[x + y * width] = this.pixels[fromX + fromY * this.width];
+            }
+        }
+        return new Picture(width, height, pixels);
+    }
+
+    // Lists the pixels (by index) that are different in another picture of the same size, and their colors there.
+    diff(other) {
+        let indices = [], colors = [];
+        for (let i = 0; i < this.pixels.length; i++) {
+            if (this.pixels[i] !== other.pixels[i]) {
+                indices.push(i);
+                colors.push(other.pixels[i]);
+            }
         }
+        return {indices: Uint32Array.from(indices), colors: Uint32Array.from(colors)};
+    }
+
+    // Returns a new Picture with the pixels listed by "diff" changed.
+    patch({indices, colors}) {
+        let copy = this.pixels.slice();
+        indices.forEach((index, i) => copy[index] = colors[i]);
         return new Picture(this.width, this.height, copy);
     }
 }
 
+// One sheet of pixels in the document. The layers are stacked bottom to top to make up the final image.
+// A layer holds one picture (a "cel") for every frame of the animation.
+// Transparent pixels let the layers underneath show through.
+class Layer {
+    // Defines the attributes of the Layer.
+    constructor(name, cels, visible = true, locked = false, opacity = 1) {
+        this.name = name;
+        this.cels = cels;
+        this.visible = visible;
+        this.locked = locked;
+        this.opacity = opacity;
+    }
+
+    // Creates a fully transparent layer with the given number of frames.
+    static empty(name, width, height, frames = 1) {
+        let cels = new Array(frames).fill(Picture.empty(width, height, null));
+        return new Layer(name, cels);
+    }
+
+    // Returns a new Layer with the given attributes changed.
+    update(props) {
+        let {name, cels, visible, locked, opacity} = Object.assign({}, this, props);
+        return new Layer(name, cels, visible, locked, opacity);
+    }
+
+    // Returns a new Layer with the picture of one frame replaced.
+    drawCel(frame, picture) {
+        let cels = this.cels.slice();
+        cels[frame] = picture;
+        return this.update({cels});
+    }
+}
+
 // Returns a new state object, merging the current state and the changes from the action.
 function updateState(state, action) {
     return Object.assign({}, state, action);
 };
 
+// Works like "updateState", but a new "picture" in the action replaces the active frame of the active layer.
+// Afterwards "state.picture" always points at that picture, so the tools never need to know about layers or frames.
+function layerUpdateState(state, action) {
+    let next = updateState(state, action);
+    if (action.picture && !action.layers) {
+        let active = state.layers[state.layer];
+        // Hidden and locked layers can't be drawn into.
+        if (active.locked || !active.visible) {
+            next.layers = state.layers;
+        } else {
+            next.layers = state.layers.map(layer => layer == active ? layer.drawCel(state.frame, action.picture) : layer);
+        }
+    }
+    next.layer = Math.max(0, Math.min(next.layer, next.layers.length - 1));
+    next.frame = Math.max(0, Math.min(next.frame, next.frames.length - 1));
+    next.picture = next.layers[next.layer].cels[next.frame];
+    return next;
+}
+
 
 // ====== The DOM (Document, Object, Model) ==================================================
 
@@ -53,214 +238,2119 @@ function elt(type, props, ...children) {
     return dom;
 };
 
+// Checks whether a key was pressed while typing into a text or number field (or anywhere
+// in a dialog), where it should type as usual instead of working as a keyboard shortcut.
+function typingInField(event) {
+    let target = event.target;
+    return target instanceof HTMLTextAreaElement ||
+        (target instanceof HTMLInputElement && (target.type == "text" || target.type == "number")) ||
+        (target instanceof Element && target.closest("dialog") != null);
+}
+
+
+// ====== The Canvas ==================================================
+
+
+// Responsible for creating the canvas and redraws the canvas whenever it changes.
+// Sets up the user input for the canvas.
+// The canvas is a fixed size window (the viewport) onto the picture, which can be zoomed and panned.
+// A second, see-through canvas lies on top of it for the guides (like the grids) that aren't part of the picture.
+// That one receives the user input.
+class PictureCanvas {
+    constructor(state, pointerDown, pointerUp, dispatch) {
+        this.dispatch = dispatch;
+        this.canvas = elt("canvas", {
+            className: "picture-canvas",
+            width: viewportWidth,
+            height: viewportHeight
+        });
+        this.overlay = elt("canvas", {
+            className: "overlay-canvas",
+            width: viewportWidth,
+            height: viewportHeight,
+            onmousedown: event => this.mouse(event, pointerDown, pointerUp),
+            ontouchstart: event => this.touch(event, pointerDown, pointerUp),
+            onwheel: event => this.wheel(event),
+            // The middle button is used for panning, so the browser shouldn't start scrolling.
+            onauxclick: event => event.preventDefault(),
+            // The right button draws, so the browser's menu shouldn't pop up.
+            oncontextmenu: event => event.preventDefault()
+        });
+        this.dom = elt("div", {className: "canvas-stack"}, this.canvas, this.overlay);
+        // Set while the space bar is held down, which turns dragging into panning.
+        this.spaceHeld = false;
+        // How far the marching ants have marched, and the timer that moves them.
+        this.ants = 0;
+        this.antsTimer = null;
+        this.syncState(state);
+    }
+    syncState(state) {
+        // Onion skins would only get in the way of the animation preview.
+        let view = {
+            layers: state.layers,
+            frame: state.frame,
+            onionSkin: state.onionSkin && !state.playing,
+            picture: state.picture,
+            zoom: state.zoom,
+            pan: state.pan,
+            pixelGrid: state.pixelGrid,
+            tileGrid: state.tileGrid ? state.tileSize : 0,
+            readout: state.readout,
+            mirrorX: state.symmetry == "horizontal" || state.symmetry == "four-way" ? symmetryAxis(state).x : null,
+            mirrorY: state.symmetry == "vertical" || state.symmetry == "four-way" ? symmetryAxis(state).y : null,
+            selection: state.selection,
+            tiled: state.tiledPreview
+        };
+        let prevView = this.view;
+        this.view = view;
+        // Checks whether any of the given parts of the view are different from the last time.
+        let changed = (...keys) => !prevView || keys.some(key => view[key] != prevView[key]);
+
+        if (changed("layers", "frame", "onionSkin", "zoom", "pan", "tiled")) {
+            drawPicture(view, this.canvas, prevView);
+        } else {
+            view.buffer = prevView.buffer;
+        }
+        if (changed("zoom", "pan", "pixelGrid", "tileGrid", "readout", "mirrorX", "mirrorY", "selection", "tiled") ||
+            view.picture.width != prevView.picture.width || view.picture.height != prevView.picture.height) {
+            drawOverlay(view, this.overlay, this.ants);
+        }
+        // The marching ants around the selection keep moving as long as there is one.
+        if (view.selection && !this.antsTimer) {
+            this.antsTimer = setInterval(() => {
+                this.ants = (this.ants + 1) % 8;
+                drawOverlay(this.view, this.overlay, this.ants);
+            }, 150);
+        } else if (!view.selection && this.antsTimer) {
+            clearInterval(this.antsTimer);
+            this.antsTimer = null;
+        }
+    }
+}
+
+// How strongly the neighbouring frames show through as onion skins.
+const onionOpacity = 0.3;
+
+// Creates the checkerboard pattern drawn behind the picture, so transparent pixels can be told apart from colored ones.
+function checkerboard(cx) {
+    let tile = elt("canvas", {width: 16, height: 16});
+    let tileCx = tile.getContext("2d");
+    tileCx.fillStyle = "#ffffff";
+    tileCx.fillRect(0, 0, 16, 16);
+    tileCx.fillStyle = "#cccccc";
+    tileCx.fillRect(0, 0, 8, 8);
+    tileCx.fillRect(8, 8, 8, 8);
+    return cx.createPattern(tile, "repeat");
+}
+
+// Paints the packed color "src", faded by "opacity", over the packed color "dst" and returns the result.
+function blendOver(dst, src, opacity) {
+    let srcAlpha = (src & 0xff) / 255 * opacity;
+    if (srcAlpha == 0) return dst;
+    if (srcAlpha == 1) return src;
+    let dstAlpha = (dst & 0xff) / 255 * (1 - srcAlpha);
+    let alpha = srcAlpha + dstAlpha;
+    let r = ((src >>> 24) * srcAlpha + (dst >>> 24) * dstAlpha) / alpha;
+    let g = ((src >>> 16 & 0xff) * srcAlpha + (dst >>> 16 & 0xff) * dstAlpha) / alpha;
+    let b = ((src >>> 8 & 0xff) * srcAlpha + (dst >>> 8 & 0xff) * dstAlpha) / alpha;
+    return (Math.round(r) << 24 | Math.round(g) << 16 | Math.round(b) << 8 | Math.round(alpha * 255)) >>> 0;
+}
+
+// Blends the visible layers of a frame together at one pixel (by index), bottom to top,
+// each one faded by its opacity.
+function compositePixel(layers, frame, index) {
+    let result = 0;
+    for (let layer of layers) {
+        if (!layer.visible) continue;
+        result = blendOver(result, layer.cels[frame].pixels[index], layer.opacity);
+    }
+    return result;
+}
+
+// Stores a packed color in the bytes (red, green, blue, alpha) of an ImageData.
+function putPixel(data, index, rgba) {
+    data[index * 4] = rgba >>> 24;
+    data[index * 4 + 1] = rgba >>> 16 & 0xff;
+    data[index * 4 + 2] = rgba >>> 8 & 0xff;
+    data[index * 4 + 3] = rgba & 0xff;
+}
+
+// Renders the changes to the layers of a frame to visually reflect the pixel data.
+// When onion skinning is on, the previous and next frames show faintly underneath the active frame.
+// The frame is put together one pixel per picture pixel in a small canvas kept with the view (see "drawBuffer"),
+// which is then stretched onto the real canvas at the zoom and pan of the view.
+function drawPicture(view, canvas, prevView) {
+    drawBuffer(view, prevView);
+    let {width, height} = view.picture;
+    let {x, y} = pictureOrigin(view);
+
+    let cx = canvas.getContext("2d");
+    cx.imageSmoothingEnabled = false;
+    cx.clearRect(0, 0, canvas.width, canvas.height);
+    cx.fillStyle = checkerboard(cx);
+    // The tiled preview repeats the picture all around it.
+    let copies = view.tiled ? [-1, 0, 1] : [0];
+    for (let row of copies) {
+        for (let col of copies) {
+            let left = x + col * width * view.zoom, top = y + row * height * view.zoom;
+            cx.fillRect(left, top, width * view.zoom, height * view.zoom);
+            cx.drawImage(view.buffer, left, top, width * view.zoom, height * view.zoom);
+        }
+    }
+}
+
+// Puts the frame together in the small canvas of the view, one pixel per picture pixel.
+// Only the pixels that changed since the previous view are worked out again.
+function drawBuffer(view, prevView) {
+    let {layers, frame} = view;
+    let {width, height} = view.picture;
+    // Check if the height or width of the picture has changed.
+    if (prevView && (prevView.picture.width != width || prevView.picture.height != height)) {
+        prevView = null;
+    }
+    let frameCount = layers[0].cels.length;
+    let onion = view.onionSkin ? [frame - 1, frame + 1].filter(f => f >= 0 && f < frameCount) : [];
+    let shown = [frame, ...onion];
+
+    // Switching frames or changing the layer list itself (added, removed, hidden, faded) can change every pixel.
+    if (prevView && (prevView.frame != frame || prevView.onionSkin != view.onionSkin ||
+            prevView.layers.length != layers.length || prevView.layers[0].cels.length != frameCount ||
+            layers.some((layer, i) => layer.visible != prevView.layers[i].visible ||
+                                      layer.opacity != prevView.layers[i].opacity))) {
+        prevView = null;
+    }
+
+    let buffer;
+    if (prevView) {
+        buffer = prevView.buffer;
+    } else {
+        buffer = elt("canvas", {width, height});
+        buffer.image = buffer.getContext("2d").createImageData(width, height);
+    }
+    view.buffer = buffer;
+
+    // Only the pictures that were replaced since the last time have pixels that need to be compared.
+    let changed = [];
+    if (prevView) {
+        layers.forEach((layer, i) => shown.forEach(f => {
+            let prev = prevView.layers[i].cels[f];
+            if (layer.cels[f] != prev) changed.push(layer.cels[f].pixels, prev.pixels);
+        }));
+        if (changed.length == 0) return;
+    }
+
+    let {data} = buffer.image;
+    for (let i = 0; i < width * height; i++) {
+        // The pixel will only be drawn if it is different than the last picture.
+        // In a previous version it would redraw the entire picture.
+        if (prevView) {
+            let same = true;
+            for (let c = 0; c < changed.length && same; c += 2) same = changed[c][i] === changed[c + 1][i];
+            if (same) continue;
+        }
+        let rgba = 0;
+        for (let f of onion) rgba = blendOver(rgba, compositePixel(layers, f, i), onionOpacity);
+        putPixel(data, i, blendOver(rgba, compositePixel(layers, frame, i), 1));
+    }
+    buffer.getContext("2d").putImageData(buffer.image, 0, 0);
+}
+
+// The pixel grid is only drawn from this zoom level on, below it the lines would hide the picture.
+const pixelGridZoom = 4;
+
+// Renders the guides on the overlay canvas: a line between every pixel (the pixel grid),
+// and a stronger line every "tileGrid" pixels (the tile grid). They are never part of the picture itself.
+function drawOverlay(view, canvas, ants = 0) {
+    let {width, height} = view.picture;
+    let {x, y} = pictureOrigin(view);
+    let cx = canvas.getContext("2d");
+    cx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Draws a vertical and a horizontal line at every "step" pixels.
+    function grid(step, color) {
+        cx.strokeStyle = color;
+        cx.lineWidth = 1;
+        cx.beginPath();
+        // The half pixel puts the lines right on the screen pixels, so they stay sharp.
+        for (let col = 0; col <= width; col += step) {
+            cx.moveTo(x + col * view.zoom + 0.5, y);
+            cx.lineTo(x + col * view.zoom + 0.5, y + height * view.zoom);
+        }
+        for (let row = 0; row <= height; row += step) {
+            cx.moveTo(x, y + row * view.zoom + 0.5);
+            cx.lineTo(x + width * view.zoom, y + row * view.zoom + 0.5);
+        }
+        cx.stroke();
+    }
+    if (view.pixelGrid && view.zoom >= pixelGridZoom) grid(1, "rgba(0, 0, 0, 0.25)");
+    if (view.tileGrid > 0) grid(view.tileGrid, "rgba(0, 64, 255, 0.8)");
+
+    // Marks the picture itself among the copies of the tiled preview.
+    if (view.tiled) {
+        cx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+        cx.lineWidth = 1;
+        cx.strokeRect(x - 0.5, y - 0.5, width * view.zoom + 1, height * view.zoom + 1);
+    }
+
+    // The mirror lines of the symmetry modes.
+    if (view.mirrorX != null || view.mirrorY != null) {
+        cx.strokeStyle = "rgba(255, 0, 160, 0.9)";
+        cx.lineWidth = 1;
+        cx.setLineDash([6, 4]);
+        cx.beginPath();
+        if (view.mirrorX != null) {
+            cx.moveTo(Math.round(x + view.mirrorX * view.zoom) + 0.5, y);
+            cx.lineTo(Math.round(x + view.mirrorX * view.zoom) + 0.5, y + height * view.zoom);
+        }
+        if (view.mirrorY != null) {
+            cx.moveTo(x, Math.round(y + view.mirrorY * view.zoom) + 0.5);
+            cx.lineTo(x + width * view.zoom, Math.round(y + view.mirrorY * view.zoom) + 0.5);
+        }
+        cx.stroke();
+        cx.setLineDash([]);
+    }
+
+    // Marching ants along every edge between a selected and a not selected pixel.
+    if (view.selection) {
+        let {left, top, width: selectedWidth, height: selectedHeight} = view.selection;
+        cx.beginPath();
+        for (let row = top; row < top + selectedHeight; row++) {
+            for (let col = left; col < left + selectedWidth; col++) {
+                if (!view.selection.has(col, row)) continue;
+                let sx = x + col * view.zoom, sy = y + row * view.zoom;
+                if (!view.selection.has(col, row - 1)) { cx.moveTo(sx, sy); cx.lineTo(sx + view.zoom, sy); }
+                if (!view.selection.has(col, row + 1)) { cx.moveTo(sx, sy + view.zoom); cx.lineTo(sx + view.zoom, sy + view.zoom); }
+                if (!view.selection.has(col - 1, row)) { cx.moveTo(sx, sy); cx.lineTo(sx, sy + view.zoom); }
+                if (!view.selection.has(col + 1, row)) { cx.moveTo(sx + view.zoom, sy); cx.lineTo(sx + view.zoom, sy + view.zoom); }
+            }
+        }
+        cx.lineWidth = 1;
+        cx.strokeStyle = "#ffffff";
+        cx.stroke();
+        cx.strokeStyle = "#000000";
+        cx.setLineDash([4, 4]);
+        cx.lineDashOffset = -ants;
+        cx.stroke();
+        cx.setLineDash([]);
+    }
+
+    // A tool can show a little note (like the size of a shape) just below and right of a pixel.
+    if (view.readout) {
+        let left = x + (view.readout.x + 1) * view.zoom + 8;
+        let top = y + (view.readout.y + 1) * view.zoom + 8;
+        cx.font = "12px sans-serif";
+        cx.textBaseline = "top";
+        let textWidth = cx.measureText(view.readout.text).width;
+        cx.fillStyle = "rgba(0, 0, 0, 0.7)";
+        cx.fillRect(left, top, textWidth + 8, 18);
+        cx.fillStyle = "#ffffff";
+        cx.fillText(view.readout.text, left + 4, top + 3);
+    }
+}
+
+// Lets the user hold down left click in order to draw lines.
+// Checks whether or not the user is holding down left click and either removes or adds an eventListener.
+// Letting go of the button ends the stroke, which is when "onUp" is called.
+PictureCanvas.prototype.mouse = function(downEvent, onDown, onUp) {
+    if (downEvent.button == 1 || (downEvent.button == 0 && this.spaceHeld)) {
+        this.drag(downEvent);
+        return;
+    }
+    // The right button draws with the secondary color.
+    if (downEvent.button != 0 && downEvent.button != 2) return;
+    let pos = pointerPosition(downEvent, this.overlay, this.view);
+    let onMove = onDown(pos, downEvent.button == 2);
+    let lastPosition = pos;
+    let move = moveEvent => {
+        if (moveEvent.buttons == 0) {
+            end();
+        } else if (onMove) {
+            let newPosition = pointerPosition(moveEvent, this.overlay, this.view);
+            if (newPosition.x == lastPosition.x && newPosition.y == lastPosition.y) return;
+            // Fills in the pixels the mouse skipped over, with the modifier keys of this move.
+            for (let {x, y} of linePixels(lastPosition, newPosition).slice(1)) {
+                onMove(Object.assign({}, newPosition, {x, y}));
+            }
+            lastPosition = newPosition;
+        }
+    };
+    // The button can be let go outside of the canvas, so the whole window is listened to.
+    let end = () => {
+        this.overlay.removeEventListener("mousemove", move);
+        window.removeEventListener("mouseup", end);
+        onUp();
+    };
+    this.overlay.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", end);
+};
+
+
+// Lets the user drag the view around, with the middle button or with the left button while holding space.
+PictureCanvas.prototype.drag = function(downEvent) {
+    downEvent.preventDefault();
+    let start = canvasPoint(downEvent, this.overlay);
+    let startPan = this.view.pan;
+    let move = moveEvent => {
+        if (moveEvent.buttons == 0) return end();
+        let point = canvasPoint(moveEvent, this.overlay);
+        this.dispatch({pan: {x: startPan.x + point.x - start.x, y: startPan.y + point.y - start.y}});
+    };
+    let end = () => {
+        window.removeEventListener("mousemove", move);
+        window.removeEventListener("mouseup", end);
+    };
+    window.addEventListener("mousemove", move);
+    window.addEventListener("mouseup", end);
+};
+
+// Zooms in or out one level with the mouse wheel, keeping the pixel under the mouse in place.
+PictureCanvas.prototype.wheel = function(event) {
+    event.preventDefault();
+    if (event.deltaY == 0) return;
+    this.dispatch(zoomStep(this.view, event.deltaY < 0 ? 1 : -1, canvasPoint(event, this.overlay)));
+};
+
+// Finds where an event occurred on the canvas, in canvas pixels.
+// On small screens the canvas is shown smaller than it really is, which is undone here.
+function canvasPoint(pos, domNode) {
+    let rect = domNode.getBoundingClientRect();
+    let ratio = rect.width ? domNode.width / rect.width : 1;
+    return {
+        x: (pos.clientX - rect.left) * ratio,
+        y: (pos.clientY - rect.top) * ratio
+    };
+}
+
+// Calculates the position of the pixel where an event occurred.
+// (Were the user makes changes)
+// The zoom and pan of the view are taken into account, so the position is exact at every zoom level.
+// It also tells whether shift or alt was held down, which some tools use to change what they draw.
+function pointerPosition(pos, domNode, view) {
+    let point = canvasPoint(pos, domNode);
+    let origin = pictureOrigin(view);
+    return {
+        x: Math.floor((point.x - origin.x) / view.zoom),
+        y: Math.floor((point.y - origin.y) / view.zoom),
+        shift: Boolean(pos.shiftKey),
+        alt: Boolean(pos.altKey)
+    };
+};
+
+// Does the same thing as the "prototype.mouse", but for touch screens.
+// A second finger turns the touch into a pinch instead (see "prototype.pinch").
+PictureCanvas.prototype.touch = function (startEvent, onDown, onUp) {
+    startEvent.preventDefault();
+    if (startEvent.touches.length > 1) {
+        this.pinch(startEvent);
+        return;
+    }
+    let pos = pointerPosition(startEvent.touches[0], this.overlay, this.view);
+    let onMove = onDown(pos);
+    let move = moveEvent => {
+        if (moveEvent.touches.length > 1) return;
+        let newPos = pointerPosition(moveEvent.touches[0], this.overlay, this.view);
+        if (newPos.x == pos.x && newPos.y == pos.y) return;
+        pos = newPos;
+        if (onMove) onMove(newPos);
+    };
+    let end = () => {
+        this.overlay.removeEventListener("touchmove", move);
+        this.overlay.removeEventListener("touchend", end);
+        this.overlay.removeEventListener("touchcancel", end);
+        onUp();
+    };
+    this.overlay.addEventListener("touchmove", move);
+    this.overlay.addEventListener("touchend", end);
+    this.overlay.addEventListener("touchcancel", end);
+};
+
+// Lets two fingers zoom (by pinching) and pan (by moving together) the view.
+PictureCanvas.prototype.pinch = function (startEvent) {
+    let start = this.view;
+    // The distance between the two fingers, and the point half way between them.
+    let measure = ([a, b]) => {
+        let [pointA, pointB] = [canvasPoint(a, this.overlay), canvasPoint(b, this.overlay)];
+        return {
+            distance: Math.hypot(pointA.x - pointB.x, pointA.y - pointB.y) || 1,
+            center: {x: (pointA.x + pointB.x) / 2, y: (pointA.y + pointB.y) / 2}
+        };
+    };
+    let from = measure(startEvent.touches);
+    let move = moveEvent => {
+        if (moveEvent.touches.length < 2) return;
+        let to = measure(moveEvent.touches);
+        let action = zoomTo(start, start.zoom * to.distance / from.distance, from.center);
+        this.dispatch({pan: {
+            x: action.pan.x + to.center.x - from.center.x,
+            y: action.pan.y + to.center.y - from.center.y
+        }, zoom: action.zoom});
+    };
+    let end = () => {
+        this.overlay.removeEventListener("touchmove", move);
+        this.overlay.removeEventListener("touchend", end);
+        this.overlay.removeEventListener("touchcancel", end);
+    };
+    this.overlay.addEventListener("touchmove", move);
+    this.overlay.addEventListener("touchend", end);
+    this.overlay.addEventListener("touchcancel", end);
+};
+
+
+// ====== Grids ==================================================
+
+
+// Creates the checkboxes that turn the pixel grid and the tile grid on and off,
+// and the input for how many pixels wide (and high) a tile is.
+class GridControl {
+    constructor(state, {dispatch}) {
+        this.pixelGrid = elt("input", {
+            type: "checkbox",
+            onchange: () => dispatch({pixelGrid: this.pixelGrid.checked})
+        });
+        this.tileGrid = elt("input", {
+            type: "checkbox",
+            onchange: () => dispatch({tileGrid: this.tileGrid.checked})
+        });
+        this.tileSize = elt("input", {
+            type: "number",
+            className: "tile-size",
+            min: 2,
+            max: 256,
+            onchange: () => {
+                let tileSize = Math.round(Number(this.tileSize.value));
+                if (tileSize >= 2) dispatch({tileSize});
+            }
+        });
+        this.dom = elt("span", {},
+            elt("label", {className: "tool-label"}, "Grid: ", this.pixelGrid), " ",
+            elt("label", {className: "tool-label"}, "Tiles: ", this.tileGrid, " ", this.tileSize));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.pixelGrid.checked = state.pixelGrid;
+        this.tileGrid.checked = state.tileGrid;
+        this.tileSize.value = state.tileSize;
+    }
+}
+
+
+// ====== Symmetry ==================================================
+
+
+// Creates the selector for the mirror mode, the inputs that move the mirror lines (the axis)
+// and a button that puts them back in the middle of the picture.
+class SymmetryControl {
+    constructor(state, {dispatch}) {
+        this.mode = elt("select", {
+            onchange: () => dispatch({symmetry: this.mode.value})
+        }, elt("option", {value: "none"}, "None"),
+           elt("option", {value: "horizontal"}, "Left / Right"),
+           elt("option", {value: "vertical"}, "Top / Bottom"),
+           elt("option", {value: "four-way"}, "Four-way"));
+        // Moves one side of the axis and keeps the other one where it is.
+        let moveAxis = (key, input) => () => {
+            let axis = Object.assign({}, symmetryAxis(this.state));
+            let size = key == "x" ? this.state.picture.width : this.state.picture.height;
+            let value = Math.round(Number(input.value) * 2) / 2;
+            axis[key] = Math.min(Math.max(isNaN(value) ? size / 2 : value, 0), size);
+            dispatch({symmetryAxis: axis});
+        };
+        this.x = elt("input", {type: "number", className: "symmetry-axis", title: "Axis x", min: 0, step: 0.5});
+        this.x.onchange = moveAxis("x", this.x);
+        this.y = elt("input", {type: "number", className: "symmetry-axis", title: "Axis y", min: 0, step: 0.5});
+        this.y.onchange = moveAxis("y", this.y);
+        this.dom = elt("span", {},
+            elt("label", {className: "tool-label"}, "Mirror: ", this.mode, " ", this.x, " ", this.y), " ",
+            elt("button", {
+                className: "symmetry-btn",
+                title: "Put the axis in the middle of the picture",
+                onclick: () => dispatch({symmetryAxis: null})
+            }, "CENTER"));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        let axis = symmetryAxis(state);
+        this.mode.value = state.symmetry;
+        this.x.value = axis.x;
+        this.x.max = state.picture.width;
+        this.x.disabled = state.symmetry == "none" || state.symmetry == "vertical";
+        this.y.value = axis.y;
+        this.y.max = state.picture.height;
+        this.y.disabled = state.symmetry == "none" || state.symmetry == "horizontal";
+    }
+}
+
+// Finds where the mirror lines are, measured in pixels from the left and top edges of the picture
+// (a whole number is between two pixels, a half goes through the middle of one).
+// Without an axis of its own, it's in the middle of the picture.
+function symmetryAxis(state) {
+    return state.symmetryAxis || {x: state.picture.width / 2, y: state.picture.height / 2};
+}
+
+// Lists the ways a position is mirrored in the current mirror mode, starting with the position itself.
+function symmetryMirrors(state) {
+    let axis = symmetryAxis(state);
+    let flipX = pos => Object.assign({}, pos, {x: 2 * axis.x - 1 - pos.x});
+    let flipY = pos => Object.assign({}, pos, {y: 2 * axis.y - 1 - pos.y});
+    let mirrors = [pos => pos];
+    if (state.symmetry == "horizontal" || state.symmetry == "four-way") mirrors.push(flipX);
+    if (state.symmetry == "vertical" || state.symmetry == "four-way") mirrors.push(flipY);
+    if (state.symmetry == "four-way") mirrors.push(pos => flipX(flipY(pos)));
+    return mirrors;
+}
+
+// Turns a tool into one that is used at every mirrored position at once.
+// Every copy of the tool works on a picture of its own (starting from the picture before the stroke),
+// and the pixels they changed are put together into a single action, so it still works for any tool.
+// Only the first (not mirrored) copy gets to change anything else, like the color.
+function mirrorTool(tool, mirrors) {
+    return (start, state, dispatch) => {
+        let base = state.picture;
+        let pictures = mirrors.map(() => base);
+        let change = null;
+        let dispatchers = mirrors.map((mirror, i) => action => {
+            let {picture, ...rest} = action;
+            if (picture) pictures[i] = picture;
+            if (i == 0) Object.assign(change, rest);
+        });
+        // Runs "use" for every copy, then dispatches what they did.
+        function run(use) {
+            change = {};
+            mirrors.forEach((mirror, i) => use(mirror, i));
+            if (pictures.some(picture => picture != base)) {
+                change.picture = pictures.reduce((picture, drawn) =>
+                    drawn == base ? picture : picture.patch(base.diff(drawn)), base);
+            }
+            if (Object.keys(change).length > 0) dispatch(change);
+        }
+        let onMoves = [];
+        run((mirror, i) => {
+            onMoves[i] = tool(mirror(start), Object.assign({}, state, {picture: pictures[i]}), dispatchers[i]);
+        });
+        if (!onMoves[0]) return;
+        return (pos, state) => run((mirror, i) => {
+            if (onMoves[i]) onMoves[i](mirror(pos), Object.assign({}, state, {picture: pictures[i]}));
+        });
+    };
+}
+
+
+// ====== Zoom and Pan ==================================================
+
+
+// The size of the canvas the picture is shown in, in screen pixels.
+const viewportWidth = 800;
+const viewportHeight = 600;
+
+// The zoom levels the buttons, keys and the mouse wheel step through (screen pixels per picture pixel).
+const zoomLevels = [0.25, 0.5, 1, 2, 3, 4, 6, 8, 10, 12, 16, 24, 32, 48, 64];
+
+// Finds where the top left corner of the picture is on the canvas.
+// Without any panning, the picture sits in the middle of the canvas.
+function pictureOrigin({picture, zoom, pan}) {
+    return {
+        x: Math.round((viewportWidth - picture.width * zoom) / 2 + pan.x),
+        y: Math.round((viewportHeight - picture.height * zoom) / 2 + pan.y)
+    };
+}
+
+// Returns an action that zooms to "zoom", keeping the pixel at "point" on the canvas in place.
+// Zooms around the middle of the canvas when no point is given.
+function zoomTo(view, zoom, point = {x: viewportWidth / 2, y: viewportHeight / 2}) {
+    zoom = Math.max(zoomLevels[0], Math.min(zoom, zoomLevels[zoomLevels.length - 1]));
+    let {picture} = view;
+    let origin = pictureOrigin(view);
+    let factor = zoom / view.zoom;
+    return {
+        zoom,
+        pan: {
+            x: point.x - (point.x - origin.x) * factor - (viewportWidth - picture.width * zoom) / 2,
+            y: point.y - (point.y - origin.y) * factor - (viewportHeight - picture.height * zoom) / 2
+        }
+    };
+}
+
+// Returns an action that zooms in (direction 1) or out (direction -1) to the next zoom level.
+function zoomStep(view, direction, point) {
+    let zoom = direction > 0 ? zoomLevels.find(level => level > view.zoom) :
+                               zoomLevels.slice().reverse().find(level => level < view.zoom);
+    if (zoom == null) return {};
+    return zoomTo(view, zoom, point);
+}
+
+// Returns an action that shows the whole picture as large as it fits in the canvas, in the middle.
+function zoomToFit({picture}) {
+    let fits = zoomLevels.filter(level => 
+        picture.width * level <= viewportWidth && picture.height * level <= viewportHeight);
+    return {zoom: fits.length ? fits[fits.length - 1] : zoomLevels[0], pan: {x: 0, y: 0}};
+}
+
+
+// Creates the zoom buttons, with the current zoom (in percent) in between.
+class ZoomControl {
+    constructor(state, {dispatch}) {
+        this.label = elt("span", {className: "zoom-label"});
+        this.dom = elt("span", {className: "tool-label"}, "Zoom: ",
+            elt("button", {
+                id: "zoom-out",
+                className: "zoom-btn",
+                title: "Zoom out (-)",
+                onclick: () => dispatch(zoomStep(this.state, -1))
+            }, "-"), " ",
+            this.label, " ",
+            elt("button", {
+                id: "zoom-in",
+                className: "zoom-btn",
+                title: "Zoom in (+)",
+                onclick: () => dispatch(zoomStep(this.state, 1))
+            }, "+"), " ",
+            elt("button", {
+                id: "zoom-fit",
+                className: "zoom-btn",
+                title: "Fit to window (0)",
+                onclick: () => dispatch(zoomToFit(this.state))
+            }, "FIT"));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        this.label.textContent = Math.round(state.zoom * 100) + "%";
+    }
+}
+
+
+// ====== The Application ==================================================
+
+
+// This is the container in which all of the components go into.
+// It holds the canvas, tools, and updates the state and UI.
+class PixelEditor {
+    constructor(state, config) {
+        let {tools, controls, dispatch} = config;
+        this.state = state;
+
+        // Everything a tool does between pressing and letting go is a single stroke (one step in the history).
+        // The right mouse button uses the secondary color, and in a mirror mode the tool is used
+        // at every mirrored position too.
+        this.canvas = new PictureCanvas(state, (pos, secondary) => {
+            let tool = tools[this.state.tool];
+            if (secondary) tool = secondaryTool(tool);
+            this.strokeColor = secondary ? this.state.secondaryColor : this.state.color;
+            let unclipped = selectionTools.includes(this.state.tool) || wholeLayerTools.includes(this.state.tool);
+            // The selection tools and the whole layer tools aren't mirrored,
+            // and everything else stays inside of the selection.
+            let mirrors = symmetryMirrors(this.state);
+            if (mirrors.length > 1 && !unclipped) tool = mirrorTool(tool, mirrors);
+            if (this.state.selection && !unclipped) {
+                tool = clipTool(tool, this.state.selection);
+            }
+            dispatch({beginStroke: true, label: this.state.tool});
+            let onMove = tool(pos, this.state, dispatch);
+            if (onMove) {
+                return pos => onMove(pos, this.state);
+            };
+        }, () => {
+            // The color of a stroke that drew with it goes to the front of the recent colors.
+            if (this.state.stroke && strokeUsed(this.state, this.strokeColor) &&
+                this.state.recentColors[0] != this.strokeColor) {
+                dispatch(addRecentColor(this.state, this.strokeColor));
+            }
+            dispatch({endStroke: true});
+            if (this.state.readout) dispatch({readout: null});
+        }, dispatch);
+        this.controls = controls.map(
+            Control => new Control(state, config));
+        // Holding space turns dragging on the canvas into panning.
+        let holdSpace = held => event => {
+            if (event.key != " " || typingInField(event)) return;
+            this.canvas.spaceHeld = held;
+            event.preventDefault();
+        };
+        this.dom = elt("div", {
+            tabIndex: 0,
+            className: "editor-container",
+            onkeydown: holdSpace(true),
+            onkeyup: holdSpace(false)
+        },
+                        elt("div", {}, ...this.controls.reduce(
+                            (a, c) => a.concat(" ", c.dom), [])),
+                        elt("br"), elt ("br"), elt ("br"), this.canvas.dom);
+    }
+    syncState(state) {
+        this.state = state;
+        this.canvas.syncState(state);
+        for (let ctrl of this.controls) {
+            ctrl.syncState(state);
+        }
+    }
+}
+
+// Creates a dropdown select menu listing the common canvas sizes, and a button for any other size.
+// Picking a size keeps the drawing where it is and adds or cuts off space on the right and the bottom.
+class CanvasSizeSelect {
+    constructor(state, {sizes, dispatch}) {
+        // Stands for the current size when it isn't one of the listed ones.
+        this.custom = elt("option", {hidden: true});
+        this.select = elt("select", {
+            id: "canvas-size",
+            onchange: () => {
+                const [w, h] = this.select.value.split("x").map(Number);
+                dispatch(resizeCanvas(this.state, w, h, "crop", {x: 0, y: 0}));
+            }
+        }, ...sizes.map(size => elt("option", {}, size)), this.custom);
+        this.dialog = new ResizeDialog(dispatch);
+        this.dom = elt("span", {},
+            elt("label", {
+                className: "tool-label"
+            }, "Canvas Size: ", this.select), " ",
+            elt("button", {
+                className: "resize-btn",
+                onclick: () => this.dialog.open(this.state)
+            }, "RESIZE"),
+            this.dialog.dom);
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        let size = state.picture.width + "x" + state.picture.height;
+        let listed = [...this.select.options].some(option => option != this.custom && option.value == size);
+        this.custom.hidden = listed;
+        this.custom.textContent = listed ? "" : size;
+        this.select.value = size;
+    }
+}
+
+// Creates a dropdown select menu listing the available tools.
+// Updates the state to reflect the tool the user has chosen.
+class ToolSelect {
+    constructor(state,  {tools, dispatch}) {
+        this.select = elt("select",  {
+            id: "tools",
+            onchange: () => dispatch({tool: this.select.value})
+        }, ...Object.keys(tools).map(name => elt("option", {
+            selected: name == state.tool
+        }, name)));
+        this.dom = elt("label", {
+            className: "tool-label"
+        }, "Tool: ", this.select);
+    }
+    syncState(state) {
+        this.select.value = state.tool;
+    }
+}
+
+
+// Creates an element using the browser's built in color picker.
+// Updates the state to reflect the chosen color.
+class ColorSelect {
+    constructor(state, {dispatch}) {
+        this.input = elt("input", {
+            type: "color",
+            value: state.color.slice(0, 7), 
+            onchange: () => dispatch({color: this.color()})
+        });
+        this.alpha = elt("input", {
+            type: "range",
+            title: "Alpha",
+            min: 0,
+            max: 255,
+            value: hexToRgba(state.color) & 0xff,
+            onchange: () => dispatch({color: this.color()})
+        });
+        this.dom = elt("label", {
+            className: "tool-label"
+        }, "Color!: ", this.input, " Alpha: ", this.alpha);
+    }
+    // Puts the color and the alpha slider together into one hex color ("#rrggbbaa", or "#rrggbb" when opaque).
+    color() {
+        let alpha = Number(this.alpha.value);
+        return this.input.value + (alpha == 255 ? "" : alpha.toString(16).padStart(2, "0"));
+    }
+    syncState(state) {
+        this.input.value = state.color.slice(0, 7);
+        this.alpha.value = hexToRgba(state.color) & 0xff;
+    }
+}
+
+
+// ====== Layers ==================================================
+
+
+// Returns an action that adds an empty layer right above the active one and makes it active.
+function addLayer(state) {
+    let {width, height} = state.picture;
+    let layers = state.layers.slice();
+    layers.splice(state.layer + 1, 0, Layer.empty("Layer " + (layers.length + 1), width, height, state.frames.length));
+    return {layers, layer: state.layer + 1, label: "Add Layer"};
+}
+
+// Returns an action that removes the active layer. There is always at least one layer left.
+function deleteLayer(state) {
+    if (state.layers.length == 1) return {};
+    let layers = state.layers.filter((_, i) => i != state.layer);
+    return {layers, layer: Math.max(0, state.layer - 1), label: "Delete Layer"};
+}
+
+// Returns an action that swaps the active layer with its neighbour (+1 = up, -1 = down).
+function moveLayer(state, direction) {
+    let target = state.layer + direction;
+    if (target < 0 || target >= state.layers.length) return {};
+    let layers = state.layers.slice();
+    [layers[state.layer], layers[target]] = [layers[target], layers[state.layer]];
+    return {layers, layer: target, label: "Move Layer"};
+}
+
+// How the history names the change of each attribute of a layer.
+const layerLabels = {
+    name: "Rename Layer",
+    visible: "Show/Hide Layer",
+    locked: "Lock/Unlock Layer",
+    opacity: "Layer Opacity"
+};
+
+// Returns an action that changes one attribute (name, visible, locked, opacity) of one layer.
+function updateLayer(state, index, props) {
+    return {
+        layers: state.layers.map((layer, i) => i == index ? layer.update(props) : layer),
+        label: layerLabels[Object.keys(props)[0]]
+    };
+}
+
+
+// Lists the layers from top to bottom. Clicking a row makes that layer the one the tools draw into.
+// Each row can hide, lock, rename (double click the name) and fade its layer.
+class LayersPanel {
+    constructor(state, {dispatch}) {
+        this.dispatch = dispatch;
+        this.list = elt("div", {className: "layer-list"});
+        this.deleteButton = elt("button", {
+            className: "layer-btn",
+            title: "Delete layer",
+            onclick: () => dispatch(deleteLayer(this.state))
+        }, "DELETE");
+        this.dom = elt("div", {className: "layers-panel"},
+            elt("div", {className: "tool-label"}, "Layers"),
+            this.list,
+            elt("button", {
+                className: "layer-btn",
+                title: "Add layer",
+                onclick: () => dispatch(addLayer(this.state))
+            }, "ADD"), " ",
+            this.deleteButton, " ",
+            elt("button", {
+                className: "layer-btn",
+                title: "Move layer up",
+                onclick: () => dispatch(moveLayer(this.state, 1))
+            }, "UP"), " ",
+            elt("button", {
+                className: "layer-btn",
+                title: "Move layer down",
+                onclick: () => dispatch(moveLayer(this.state, -1))
+            }, "DOWN"));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        if (this.layers == state.layers && this.layer == state.layer) return;
+        this.layers = state.layers;
+        this.layer = state.layer;
+
+        this.list.textContent = "";
+        // The top layer is listed first, the way it is stacked on the canvas.
+        for (let i = state.layers.length - 1; i >= 0; i--) {
+            this.list.appendChild(this.row(state.layers[i], i));
+        }
+        this.deleteButton.disabled = state.layers.length == 1;
+    }
+    // Creates the row of inputs for a single layer.
+    row(layer, index) {
+        let dispatch = this.dispatch;
+        return elt("div", {
+            className: "layer-row" + (index == this.layer ? " active" : ""),
+            onclick: () => {
+                if (index != this.state.layer) dispatch({layer: index});
+            }
+        },
+            elt("input", {
+                type: "checkbox",
+                title: "Visible",
+                checked: layer.visible,
+                onchange: event => dispatch(updateLayer(this.state, index, {visible: event.target.checked}))
+            }),
+            elt("input", {
+                type: "checkbox",
+                title: "Locked",
+                checked: layer.locked,
+                onchange: event => dispatch(updateLayer(this.state, index, {locked: event.target.checked}))
+            }),
+            elt("span", {
+                className: "layer-name",
+                title: "Double click to rename",
+                ondblclick: () => {
+                    let name = prompt("Please name the layer:", layer.name);
+                    if (name) dispatch(updateLayer(this.state, index, {name}));
+                }
+            }, layer.name),
+            elt("input", {
+                type: "range",
+                title: "Opacity",
+                min: 0,
+                max: 100,
+                value: Math.round(layer.opacity * 100),
+                onchange: event => dispatch(updateLayer(this.state, index, {opacity: event.target.value / 100}))
+            }));
+    }
+}
+
+
+// ====== Animation Frames ==================================================
+
+
+// How long a new frame is shown in the animation preview, in milliseconds.
+const frameDuration = 100;
+
+// Returns an action that changes the list of cels of every layer the same way,
+// which keeps all of the layers at the same number of frames.
+function updateCels(state, update) {
+    return state.layers.map((layer, i) => layer.update({cels: update(layer.cels.slice(), i)}));
+}
+
+// Returns an action that adds an empty frame right after the active one and makes it active.
+function addFrame(state) {
+    let {width, height} = state.picture;
+    let frames = state.frames.slice();
+    frames.splice(state.frame + 1, 0, {duration: state.frames[state.frame].duration});
+    let layers = updateCels(state, cels => {
+        cels.splice(state.frame + 1, 0, Picture.empty(width, height, null));
+        return cels;
+    });
+    return {layers, frames, frame: state.frame + 1, label: "Add Frame"};
+}
+
+// Returns an action that copies the active frame and makes the copy active.
+function duplicateFrame(state) {
+    let frames = state.frames.slice();
+    frames.splice(state.frame + 1, 0, Object.assign({}, state.frames[state.frame]));
+    let layers = updateCels(state, cels => {
+        cels.splice(state.frame + 1, 0, cels[state.frame]);
+        return cels;
+    });
+    return {layers, frames, frame: state.frame + 1, label: "Duplicate Frame"};
+}
+
+// Returns an action that removes the active frame. There is always at least one frame left.
+function deleteFrame(state) {
+    if (state.frames.length == 1) return {};
+    let frames = state.frames.filter((_, i) => i != state.frame);
+    let layers = updateCels(state, cels => cels.filter((_, i) => i != state.frame));
+    return {layers, frames, frame: Math.max(0, state.frame - 1), label: "Delete Frame"};
+}
+
+// Returns an action that swaps the active frame with its neighbour (+1 = later, -1 = earlier).
+function moveFrame(state, direction) {
+    let target = state.frame + direction;
+    if (target < 0 || target >= state.frames.length) return {};
+    function swap(list) {
+        [list[state.frame], list[target]] = [list[target], list[state.frame]];
+        return list;
+    }
+    return {layers: updateCels(state, swap), frames: swap(state.frames.slice()), frame: target, label: "Move Frame"};
+}
+
+// Returns an action that changes how long one frame is shown, in milliseconds.
+function setFrameDuration(state, index, duration) {
+    if (!(duration > 0)) return {};
+    return {
+        frames: state.frames.map((frame, i) => i == index ? Object.assign({}, frame, {duration}) : frame),
+        label: "Frame Duration"
+    };
+}
+
+
+// The animation timeline. Lists the frames in order; clicking one makes it the frame the tools draw into.
+// It also plays the animation in a loop and turns the onion skins of the neighbouring frames on and off.
+class FramesPanel {
+    constructor(state, {dispatch}) {
+        this.dispatch = dispatch;
+        this.list = elt("div", {className: "frame-list"});
+        this.deleteButton = elt("button", {
+            className: "frame-btn",
+            title: "Delete frame",
+            onclick: () => dispatch(deleteFrame(this.state))
+        }, "DELETE");
+        this.playButton = elt("button", {
+            className: "frame-btn",
+            onclick: () => dispatch({playing: !this.state.playing})
+        }, "PLAY");
+        this.duration = elt("input", {
+            type: "number",
+            className: "frame-duration",
+            min: 10,
+            step: 10,
+            onchange: () => dispatch(setFrameDuration(this.state, this.state.frame, Number(this.duration.value)))
+        });
+        this.onionSkin = elt("input", {
+            type: "checkbox",
+            onchange: () => dispatch({onionSkin: this.onionSkin.checked})
+        });
+        this.dom = elt("div", {className: "frames-panel"},
+            elt("div", {className: "tool-label"}, "Frames"),
+            this.list,
+            elt("button", {
+                className: "frame-btn",
+                title: "Add frame",
+                onclick: () => dispatch(addFrame(this.state))
+            }, "ADD"), " ",
+            elt("button", {
+                className: "frame-btn",
+                title: "Duplicate frame",
+                onclick: () => dispatch(duplicateFrame(this.state))
+            }, "DUPLICATE"), " ",
+            this.deleteButton, " ",
+            elt("button", {
+                className: "frame-btn",
+                title: "Move frame earlier",
+                onclick: () => dispatch(moveFrame(this.state, -1))
+            }, "LEFT"), " ",
+            elt("button", {
+                className: "frame-btn",
+                title: "Move frame later",
+                onclick: () => dispatch(moveFrame(this.state, 1))
+            }, "RIGHT"), " ",
+            this.playButton,
+            elt("div", {},
+                elt("label", {className: "tool-label"}, "Duration (ms): ", this.duration), " ",
+                elt("label", {className: "tool-label"}, "Onion Skin: ", this.onionSkin)));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        this.playButton.textContent = state.playing ? "PAUSE" : "PLAY";
+        this.duration.value = state.frames[state.frame].duration;
+        this.onionSkin.checked = state.onionSkin;
+        this.deleteButton.disabled = state.frames.length == 1;
+
+        // While playing, the preview moves on to the next frame once the active one has been shown long enough.
+        if (state.playing && !this.timeout) {
+            this.timeout = setTimeout(() => {
+                this.timeout = null;
+                if (this.state.playing) {
+                    this.dispatch({frame: (this.state.frame + 1) % this.state.frames.length});
+                }
+            }, state.frames[state.frame].duration);
+        }
+
+        if (this.frames == state.frames && this.frame == state.frame) return;
+        this.frames = state.frames;
+        this.frame = state.frame;
+        this.list.textContent = "";
+        state.frames.forEach((_, i) => {
+            this.list.appendChild(elt("button", {
+                className: "frame-cell" + (i == state.frame ? " active" : ""),
+                onclick: () => this.dispatch({frame: i})
+            }, String(i + 1)));
+        });
+    }
+}
+
+
+// ====== Palette ==================================================
+
+
+// The colors the palette starts out with.
+const defaultPalette = [
+    "#000000", "#ffffff", "#808080", "#c0c0c0", "#800000", "#ff0000", "#808000", "#ffff00",
+    "#008000", "#00ff00", "#008080", "#00ffff", "#000080", "#0000ff", "#800080", "#ff00ff"
+];
+
+// How many recently used colors are kept.
+const maxRecentColors = 16;
+
+// Returns an action that puts "color" at the front of the recently used colors.
+function addRecentColor(state, color) {
+    let recentColors = [color, ...state.recentColors.filter(c => c != color)].slice(0, maxRecentColors);
+    return {recentColors};
+}
+
+// Checks whether a stroke left any pixels of "color" behind in the current layer.
+function strokeUsed(state, color) {
+    let before = state.stroke.layers[state.layer];
+    if (!before || !before.cels[state.frame]) return false;
+    let from = before.cels[state.frame], to = state.picture;
+    if (from == to || from.width != to.width || from.height != to.height) return false;
+    let rgba = hexToRgba(color);
+    if (rgba == 0) return false;
+    return from.diff(to).colors.includes(rgba);
+}
+
+// Turns a tool into one that uses the secondary color, and that picks the secondary color
+// (instead of the primary one) like the color picker.
+function secondaryTool(tool) {
+    let secondary = state => Object.assign({}, state, {color: state.secondaryColor});
+    return (start, state, dispatch) => {
+        let onMove = tool(start, secondary(state), action => {
+            if ("color" in action) {
+                let {color, ...rest} = action;
+                action = Object.assign(rest, {secondaryColor: color});
+            }
+            dispatch(action);
+        });
+        if (onMove) return (pos, state) => onMove(pos, secondary(state));
+    };
+}
+
+// Creates the palette: the primary and secondary colors (the left and right mouse buttons draw with them),
+// a button to swap them, the swatches of the palette and a row of the recently used colors.
+// Clicking a swatch makes it the primary color, right clicking makes it the secondary color.
+// Underneath are the built in palettes, and the buttons for loading and saving palette files.
+class PaletteControl {
+    constructor(state, {dispatch}) {
+        this.dispatch = dispatch;
+        this.primary = elt("span", {className: "swatch", title: "Primary color (left button)"});
+        this.secondary = elt("span", {className: "swatch", title: "Secondary color (right button)"});
+        this.swatches = elt("div", {className: "swatch-list"});
+        this.recent = elt("div", {className: "swatch-list"});
+        this.presets = elt("select", {
+            title: "Use one of the built in palettes",
+            onchange: () => {
+                if (this.presets.value) dispatch({palette: palettePresets[this.presets.value]});
+                this.presets.value = "";
+            }
+        }, elt("option", {value: ""}, "Presets"),
+           ...Object.keys(palettePresets).map(name => elt("option", {value: name}, name)));
+        this.format = elt("select", {title: "Palette file format"},
+            ...Object.keys(paletteFormats).map(format => elt("option", {value: format}, paletteFormats[format])));
+        this.dom = elt("div", {className: "palette-panel"},
+            elt("div", {className: "tool-label"}, "Palette"),
+            this.primary, " ", this.secondary, " ",
+            elt("button", {
+                id: "swap-colors",
+                className: "palette-btn",
+                title: "Swap the primary and secondary colors (X)",
+                onclick: () => dispatch({color: this.state.secondaryColor, secondaryColor: this.state.color})
+            }, "SWAP"), " ",
+            elt("button", {
+                className: "palette-btn",
+                title: "Add the primary color to the palette",
+                onclick: () => {
+                    if (!this.state.palette.includes(this.state.color)) {
+                        dispatch({palette: [...this.state.palette, this.state.color]});
+                    }
+                }
+            }, "ADD"),
+            this.swatches,
+            elt("div", {className: "tool-label"}, "Recent"),
+            this.recent,
+            this.presets, " ",
+            elt("button", {
+                className: "palette-btn",
+                title: "Load a palette file (.gpl, .pal, .hex or .ase)",
+                onclick: () => startPaletteLoad(dispatch)
+            }, "LOAD"), " ",
+            this.format, " ",
+            elt("button", {
+                className: "palette-btn",
+                title: "Save the palette in the chosen format",
+                onclick: () => savePalette(this.state.palette, this.format.value)
+            }, "SAVE"));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        this.primary.style.background = state.color;
+        this.secondary.style.background = state.secondaryColor;
+        if (this.palette != state.palette) {
+            this.palette = state.palette;
+            this.swatches.textContent = "";
+            for (let color of state.palette) this.swatches.appendChild(this.swatch(color));
+        }
+        if (this.recentColors != state.recentColors) {
+            this.recentColors = state.recentColors;
+            this.recent.textContent = "";
+            for (let color of state.recentColors) this.recent.appendChild(this.swatch(color));
+        }
+    }
+    // Creates a single swatch of a color.
+    swatch(color) {
+        let swatch = elt("button", {
+            className: "swatch",
+            title: color,
+            onclick: () => this.dispatch({color}),
+            oncontextmenu: event => {
+                event.preventDefault();
+                this.dispatch({secondaryColor: color});
+            }
+        });
+        swatch.style.background = color;
+        return swatch;
+    }
+}
+
+
+// ====== Palette Files ==================================================
+
+
+// Palettes that come with the editor.
+const palettePresets = {
+    "Default": defaultPalette,
+    "PICO-8": [
+        "#000000", "#1d2b53", "#7e2553", "#008751", "#ab5236", "#5f574f", "#c2c3c7", "#fff1e8",
+        "#ff004d", "#ffa300", "#ffec27", "#00e436", "#29adff", "#83769c", "#ff77a8", "#ffccaa"
+    ],
+    "NES": [
+        "#000000", "#fcfcfc", "#f8f8f8", "#bcbcbc", "#7c7c7c", "#a4e4fc", "#3cbcfc", "#0078f8",
+        "#0000fc", "#b8b8f8", "#6888fc", "#0058f8", "#0000bc", "#d8b8f8", "#9878f8", "#6844fc",
+        "#4428bc", "#f8b8f8", "#f878f8", "#d800cc", "#940084", "#f8a4c0", "#f85898", "#e40058",
+        "#a80020", "#f0d0b0", "#f87858", "#f83800", "#a81000", "#fce0a8", "#fca044", "#e45c10",
+        "#881400", "#f8d878", "#f8b800", "#ac7c00", "#503000", "#d8f878", "#b8f818", "#00b800",
+        "#007800", "#b8f8b8", "#58d854", "#00a800", "#006800", "#b8f8d8", "#58f898", "#00a844",
+        "#005800", "#00fcfc", "#00e8d8", "#008888", "#004058", "#f8d8f8", "#787878"
+    ],
+    "Game Boy": ["#0f380f", "#306230", "#8bac0f", "#9bbc0f"],
+    "DB32": [
+        "#000000", "#222034", "#45283c", "#663931", "#8f563b", "#df7126", "#d9a066", "#eec39a",
+        "#fbf236", "#99e550", "#6abe30", "#37946e", "#4b692f", "#524b24", "#323c39", "#3f3f74",
+        "#306082", "#5b6ee1", "#639bff", "#5fcde4", "#cbdbfc", "#ffffff", "#9badb7", "#847e87",
+        "#696a6a", "#595652", "#76428a", "#ac3232", "#d95763", "#d77bba", "#8f974a", "#8a6f30"
+    ]
+};
+
+// The palette file formats, with the file extension each one is saved with.
+const paletteFormats = {
+    gpl: "GIMP (.gpl)",
+    pal: "JASC (.pal)",
+    hex: "Hex list (.hex)",
+    ase: "Adobe (.ase)"
+};
+
+// Turns red, green and blue bytes into a hex color.
+function rgbHex(red, green, blue) {
+    return "#" + [red, green, blue].map(byte => Math.round(byte).toString(16).padStart(2, "0")).join("");
+}
+
+// Reads the colors out of a palette file (the file's bytes), whichever of the formats it's in.
+// Returns "null" when it isn't a palette file.
+function parsePalette(bytes) {
+    let data = new Uint8Array(bytes);
+    if (String.fromCharCode(...data.slice(0, 4)) == "ASEF") return parseAse(bytes);
+    let lines = new TextDecoder().decode(data).split(/\r?\n/).map(line => line.trim());
+    let colors = [];
+    // Adds the "R G B" numbers of a line, unless one of them is too big (above 255) to be a color.
+    let addRgb = match => {
+        let rgb = match.slice(1, 4).map(Number);
+        if (rgb.every(byte => byte <= 255)) colors.push(rgbHex(...rgb));
+    };
+    if (lines[0] == "GIMP Palette") {
+        // "R G B name" on every line, after the header and the "Name:" and "Columns:" lines.
+        for (let line of lines.slice(1)) {
+            let match = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+            if (match) addRgb(match);
+        }
+    } else if (lines[0] == "JASC-PAL") {
+        // A version line and the number of colors, then "R G B" on every line.
+        for (let line of lines.slice(3)) {
+            let match = /^(\d+)\s+(\d+)\s+(\d+)$/.exec(line);
+            if (match) addRgb(match);
+        }
+    } else {
+        // A hex color on every line (with or without the "#").
+        for (let line of lines) {
+            if (line == "") continue;
+            let match = /^#?([0-9a-f]{6})$/i.exec(line);
+            if (!match) return null;
+            colors.push("#" + match[1].toLowerCase());
+        }
+    }
+    return colors.length > 0 ? colors : null;
+}
+
+// Reads the colors out of an Adobe swatch exchange (.ase) file. After a header there are blocks,
+// and the color blocks hold a name, a color model and the color's numbers (from 0 to 1) in that model.
+// Returns "null" when the file is cut off or a block doesn't fit in it.
+function parseAse(bytes) {
+    let view = new DataView(bytes);
+    if (view.byteLength < 12) return null;
+    let count = view.getUint32(8);
+    let colors = [];
+    let offset = 12;
+    for (let i = 0; i < count && offset + 6 <= view.byteLength; i++) {
+        let type = view.getUint16(offset), length = view.getUint32(offset + 2);
+        let start = offset + 6;
+        offset = start + length;
+        if (offset > view.byteLength) return null;
+        // Group blocks only hold a name.
+        if (type != 0x0001) continue;
+        if (start + 2 > offset) return null;
+        let at = start + 2 + view.getUint16(start) * 2;
+        if (at + 4 > offset) return null;
+        let model = String.fromCharCode(...new Uint8Array(bytes, at, 4));
+        let numbers = {"RGB ": 3, "Gray": 1, "CMYK": 4}[model] || 0;
+        if (at + 4 + numbers * 4 > offset) return null;
+        let value = n => view.getFloat32(at + 4 + n * 4);
+        if (model == "RGB ") {
+            colors.push(rgbHex(value(0) * 255, value(1) * 255, value(2) * 255));
+        } else if (model == "Gray") {
+            colors.push(rgbHex(value(0) * 255, value(0) * 255, value(0) * 255));
+        } else if (model == "CMYK") {
+            let k = 1 - value(3);
+            colors.push(rgbHex(255 * (1 - value(0)) * k, 255 * (1 - value(1)) * k, 255 * (1 - value(2)) * k));
+        }
+    }
+    return colors.length > 0 ? colors : null;
+}
+
+// Writes the palette in one of the formats (see "paletteFormats"), as text or (for .ase) bytes.
+// The alpha of a color is left out, none of the formats have a place for it.
+function writePalette(palette, format, name) {
+    let rgb = palette.map(color => {
+        let rgba = hexToRgba(color);
+        return [rgba >>> 24, (rgba >>> 16) & 0xff, (rgba >>> 8) & 0xff];
+    });
+    if (format == "gpl") {
+        return ["GIMP Palette", `Name: ${name}`, "Columns: 8", "#",
+            ...rgb.map(([r, g, b]) => `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${rgbHex(r, g, b)}`)
+        ].join("\n") + "\n";
+    } else if (format == "pal") {
+        return ["JASC-PAL", "0100", String(rgb.length), ...rgb.map(color => color.join(" "))].join("\r\n") + "\r\n";
+    } else if (format == "hex") {
+        return rgb.map(([r, g, b]) => rgbHex(r, g, b).slice(1)).join("\n") + "\n";
+    }
+    // Every color block holds the color's hex as its name, "RGB " and three numbers, and is a "normal" color (2).
+    let blockLength = name => 2 + (name.length + 1) * 2 + 4 + 12 + 2;
+    let names = rgb.map(([r, g, b]) => rgbHex(r, g, b));
+    let size = 12 + names.reduce((sum, name) => sum + 6 + blockLength(name), 0);
+    let view = new DataView(new ArrayBuffer(size));
+    "ASEF".split("").forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+    view.setUint16(4, 1);
+    view.setUint16(6, 0);
+    view.setUint32(8, names.length);
+    let offset = 12;
+    names.forEach((name, i) => {
+        view.setUint16(offset, 0x0001);
+        view.setUint32(offset + 2, blockLength(name));
+        view.setUint16(offset + 6, name.length + 1);
+        offset += 8;
+        for (let c of name) {
+            view.setUint16(offset, c.charCodeAt(0));
+            offset += 2;
+        }
+        offset += 2;
+        "RGB ".split("").forEach((c, j) => view.setUint8(offset + j, c.charCodeAt(0)));
+        offset += 4;
+        rgb[i].forEach((byte, j) => view.setFloat32(offset + j * 4, byte / 255));
+        offset += 12;
+        view.setUint16(offset, 2);
+        offset += 2;
+    });
+    return new Uint8Array(view.buffer);
+}
+
+// Asks for a name and downloads the palette in one of the formats.
+function savePalette(palette, format) {
+    let fileName = prompt("Please name the palette:", "palette");
+    if (!fileName) return;
+    let blob = new Blob([writePalette(palette, format, fileName)], {type: "application/octet-stream"});
+    let url = URL.createObjectURL(blob);
+    let link = elt("a", {
+        href: url,
+        download: `${fileName}.${format}`
+    });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Creates a file input for a palette file and clicks it (just like "startLoad" does for images).
+function startPaletteLoad(dispatch) {
+    let input = elt("input", {
+        type: "file",
+        accept: ".gpl,.pal,.hex,.ase,.txt",
+        onchange: () => finishPaletteLoad(input.files[0], dispatch)
+    });
+    document.body.appendChild(input);
+    input.click();
+    input.remove();
+}
+
+// Reads the selected palette file and makes it the palette.
+function finishPaletteLoad(file, dispatch) {
+    if (file == null) return;
+    let reader = new FileReader();
+    reader.addEventListener("load", () => {
+        let palette = parsePalette(reader.result);
+        if (palette) dispatch({palette});
+        else alert("That file isn't a palette that can be loaded (.gpl, .pal, .hex or .ase).");
+    });
+    reader.readAsArrayBuffer(file);
+}
+
+
+// ====== Resizing ==================================================
+
+
+// The largest width or height the canvas can be resized to.
+const maxCanvasSize = 1024;
+
+// Where the drawing stays put when the canvas is cropped or extended.
+// Each anchor is a fraction of the change in width and height (0 = left/top, 1 = right/bottom).
+const anchors = [
+    {x: 0, y: 0}, {x: 0.5, y: 0}, {x: 1, y: 0},
+    {x: 0, y: 0.5}, {x: 0.5, y: 0.5}, {x: 1, y: 0.5},
+    {x: 0, y: 1}, {x: 0.5, y: 1}, {x: 1, y: 1}
+];
+
+// Returns an action that changes the size of every picture in the document.
+// In "crop" mode the pixels stay the same size and the anchor decides which edges get cut off or added,
+// in "scale" mode the pixels are stretched (or shrunk) to fill the new size.
+function resizeCanvas(state, width, height, mode, anchor) {
+    let {width: oldWidth, height: oldHeight} = state.picture;
+    if (width == oldWidth && height == oldHeight) return {};
+    let left = Math.round((oldWidth - width) * anchor.x);
+    let top = Math.round((oldHeight - height) * anchor.y);
+    let layers = updateCels(state, cels => cels.map(picture => mode == "scale" ?
+        picture.scale(width, height) : picture.crop(width, height, left, top)));
+    return {layers, label: "Resize Canvas"};
+}
+
+
+// A dialog for resizing the canvas to any width and height.
+class ResizeDialog {
+    constructor(dispatch) {
+        this.width = elt("input", {type: "number", min: 1, max: maxCanvasSize});
+        this.height = elt("input", {type: "number", min: 1, max: maxCanvasSize});
+        this.mode = elt("select", {
+            onchange: () => this.anchors.forEach(radio => radio.disabled = this.mode.value == "scale")
+        }, elt("option", {value: "crop"}, "Crop / Extend"), elt("option", {value: "scale"}, "Scale"));
+        this.anchors = anchors.map((_, i) => elt("input", {
+            type: "radio",
+            name: "resize-anchor",
+            title: "Anchor",
+            checked: i == 0
+        }));
+        this.dom = elt("dialog", {className: "resize-dialog"},
+            elt("form", {
+                method: "dialog",
+                onsubmit: () => {
+                    let width = Number(this.width.value), height = Number(this.height.value);
+                    if (!(width >= 1 && width <= maxCanvasSize && height >= 1 && height <= maxCanvasSize)) return;
+                    let anchor = anchors[this.anchors.findIndex(radio => radio.checked)];
+                    dispatch(resizeCanvas(this.state, Math.round(width), Math.round(height), this.mode.value, anchor));
+                }
+            },
+                elt("h5", {}, "Resize Canvas"),
+                elt("p", {}, elt("label", {}, "Width: ", this.width), " ",
+                             elt("label", {}, "Height: ", this.height)),
+                elt("p", {}, elt("label", {}, "Mode: ", this.mode)),
+                elt("p", {}, "Anchor:"),
+                elt("div", {className: "anchor-grid"}, ...this.anchors),
+                elt("p", {},
+                    elt("button", {className: "resize-btn", type: "submit"}, "OK"), " ",
+                    elt("button", {
+                        className: "resize-btn",
+                        type: "button",
+                        onclick: () => this.dom.close()
+                    }, "CANCEL"))));
+    }
+    // Shows the dialog, filled in with the current size.
+    open(state) {
+        this.state = state;
+        this.width.value = state.picture.width;
+        this.height.value = state.picture.height;
+        this.dom.showModal();
+    }
+}
+
+
+// ====== Transforms ==================================================
+
+
+// Returns an action that turns the selected pixels (when something is selected) or every picture
+// in the document (when nothing is) into "transform(picture)".
+function transformPicture(state, transform, label) {
+    let {picture, selection} = state;
+    if (!selection) {
+        return {layers: updateCels(state, cels => cels.map(transform)), label};
+    }
+    // The selected pixels and the selection itself are turned into pictures of the selection's box,
+    // so they can be transformed the same way.
+    let {left, top, width, height} = selection;
+    let box = Picture.empty(width, height, null).draw(selection.pixels(picture).map(({x, y}) =>
+        ({x: x - left, y: y - top, color: picture.pixel(x, y)})));
+    let mask = new Picture(width, height, Uint32Array.from(selection.mask));
+    let newBox = transform(box), newMask = transform(mask);
+    // The middle of the selection stays where it was.
+    let newLeft = left + Math.floor((width - newBox.width) / 2);
+    let newTop = top + Math.floor((height - newBox.height) / 2);
+    let moved = new Selection(newLeft, newTop, newBox.width, newBox.height, Uint8Array.from(newMask.pixels));
+    let under = picture.draw(selection.pixels(picture).map(({x, y}) => ({x, y, color: null})));
+    let pixels = [];
+    for (let y = 0; y < newBox.height; y++) {
+        for (let x = 0; x < newBox.width; x++) {
+            if (newBox.rgba(x, y) != 0) pixels.push({x: x + newLeft, y: y + newTop, color: newBox.pixel(x, y)});
+        }
+    }
+    let drawn = under.draw(pixels);
+    return {picture: drawn, selection: moved, floating: {under, pixels, picture: drawn}, label};
+}
+
+// Works out the size of a picture scaled by "factor", at least a pixel and at most the largest canvas size.
+function scaledSize(size, factor) {
+    return Math.min(Math.max(Math.round(size * factor), 1), maxCanvasSize);
+}
+
+// Creates the buttons for flipping, rotating and scaling the selected pixels, or the whole picture
+// (every layer and frame) when nothing is selected.
+class TransformControl {
+    constructor(state, {dispatch}) {
+        let button = (text, title, transform) => elt("button", {
+            className: "transform-btn",
+            title,
+            onclick: () => dispatch(transformPicture(this.state, transform, title))
+        }, text);
+        this.factor = elt("input", {
+            type: "number",
+            className: "scale-factor",
+            title: "Scale by (2 doubles the size, 0.5 halves it)",
+            value: 2,
+            min: 0.1,
+            step: 0.5
+        });
+        let scale = elt("button", {
+            className: "transform-btn",
+            title: "Scale",
+            onclick: () => {
+                let factor = Number(this.factor.value);
+                if (!(factor > 0)) return;
+                dispatch(transformPicture(this.state, picture =>
+                    picture.scale(scaledSize(picture.width, factor), scaledSize(picture.height, factor)), "Scale"));
+            }
+        }, "SCALE");
+        this.dom = elt("span", {},
+            button("FLIP H", "Flip Horizontal", picture => picture.flip("horizontal")), " ",
+            button("FLIP V", "Flip Vertical", picture => picture.flip("vertical")), " ",
+            button("90", "Rotate 90", picture => picture.rotate(1)), " ",
+            button("180", "Rotate 180", picture => picture.rotate(2)), " ",
+            button("270", "Rotate 270", picture => picture.rotate(3)), " ",
+            elt("label", {className: "tool-label"}, "x ", this.factor), " ", scale);
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+    }
+}
+
+
+// ====== Offset and Tiling ==================================================
+
+
+// Returns an action that shifts every picture in the document "dx" pixels right and "dy" pixels down,
+// with the pixels that fall off one edge coming back in on the other side.
+function offsetCanvas(state, dx, dy) {
+    if (dx == 0 && dy == 0) return {};
+    return {layers: updateCels(state, cels => cels.map(picture => picture.offset(dx, dy))), label: "Offset"};
+}
+
+// Creates the inputs and the button for shifting the whole picture (every layer and frame) around,
+// and the checkbox that shows the picture tiled 3 x 3, so the seams between tiles can be seen.
+class OffsetControl {
+    constructor(state, {dispatch}) {
+        this.dx = elt("input", {type: "number", className: "offset-input", title: "Pixels to the right", value: 0});
+        this.dy = elt("input", {type: "number", className: "offset-input", title: "Pixels down", value: 0});
+        this.tiled = elt("input", {
+            type: "checkbox",
+            onchange: () => dispatch({tiledPreview: this.tiled.checked})
+        });
+        this.dom = elt("span", {},
+            elt("label", {className: "tool-label"}, "Offset: ", this.dx, " ", this.dy), " ",
+            elt("button", {
+                className: "offset-btn",
+                title: "Shift the picture, wrapping around the edges",
+                onclick: () => dispatch(offsetCanvas(this.state,
+                    Math.round(Number(this.dx.value)) || 0, Math.round(Number(this.dy.value)) || 0))
+            }, "OFFSET"), " ",
+            elt("label", {className: "tool-label"}, "Tiled: ", this.tiled));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        this.tiled.checked = state.tiledPreview;
+    }
+}
+
+
+// ====== Brushes ==================================================
+
+
+// The biggest brush (in pixels across) the draw tool and the eraser use.
+const maxBrushSize = 16;
+
+// Creates the options of the draw tool and the eraser: how big the brush is, its shape, and pixel perfect mode.
+// The grab button turns whatever is drawn on the current layer into a custom stamp brush.
+class BrushControl {
+    constructor(state, {dispatch}) {
+        this.size = elt("input", {
+            type: "number",
+            className: "brush-size",
+            title: "Brush size",
+            min: 1,
+            max: maxBrushSize,
+            onchange: () => {
+                let brushSize = Math.round(Number(this.size.value)) || 1;
+                dispatch({brushSize: Math.min(Math.max(brushSize, 1), maxBrushSize)});
+            }
+        });
+        this.shape = elt("select", {
+            onchange: () => dispatch({brushShape: this.shape.value})
+        }, elt("option", {value: "square"}, "Square"), elt("option", {value: "round"}, "Round"),
+           this.stampOption = elt("option", {value: "stamp"}, "Stamp"));
+        this.pixelPerfect = elt("input", {
+            type: "checkbox",
+            onchange: () => dispatch({pixelPerfect: this.pixelPerfect.checked})
+        });
+        this.dom = elt("span", {},
+            elt("label", {className: "tool-label"}, "Brush: ", this.size, " ", this.shape), " ",
+            elt("label", {className: "tool-label", title: "Leaves out the corners of one pixel lines"},
+                "Pixel perfect: ", this.pixelPerfect), " ",
+            elt("button", {
+                className: "brush-btn",
+                title: "Use the drawing on the current layer as the brush",
+                onclick: () => {
+                    let brushStamp = stampFromPicture(this.state.picture);
+                    if (brushStamp) dispatch({brushStamp, brushShape: "stamp"});
+                    else alert("Draw the stamp on the current layer first.");
+                }
+            }, "GRAB"));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.state = state;
+        this.size.value = state.brushSize;
+        this.size.disabled = state.brushShape == "stamp";
+        this.shape.value = state.brushShape;
+        this.stampOption.disabled = !state.brushStamp;
+        this.pixelPerfect.checked = state.pixelPerfect;
+    }
+}
+
+// Finds the pixels the brush covers, as steps away from the pixel under the pointer.
+function brushOffsets({brushSize, brushShape, brushStamp}) {
+    if (brushShape == "stamp" && brushStamp) return brushStamp;
+    // The pointer is in the middle of the brush (just up and left of it for even sizes).
+    let first = -Math.floor((brushSize - 1) / 2);
+    let last = first + brushSize - 1;
+    if (brushShape == "round") {
+        // Odd sizes are circles around the pointer, even sizes fit a circle in the square.
+        let pixels;
+        if (brushSize % 2 == 1) {
+            let radius = (brushSize - 1) / 2, spans = circleSpans(radius);
+            pixels = [];
+            for (let y = -radius; y <= radius; y++) {
+                for (let x = -spans[Math.abs(y)]; x <= spans[Math.abs(y)]; x++) pixels.push({x, y});
+            }
+        } else {
+            pixels = ellipsePixels({left: first, top: first, right: last, bottom: last});
+        }
+        return pixels.map(({x, y}) => ({dx: x, dy: y}));
+    }
+    let offsets = [];
+    for (let dy = first; dy <= last; dy++) {
+        for (let dx = first; dx <= last; dx++) offsets.push({dx, dy});
+    }
+    return offsets;
+}
+
+// Turns the drawn (not transparent) pixels of a picture into a stamp brush, centered on the pointer.
+// Anything past the biggest brush size (from the top left of the drawing) is left out.
+// Returns "null" when nothing is drawn.
+function stampFromPicture(picture) {
+    let {width, height} = picture;
+    let left = width, top = height, right = -1, bottom = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (picture.rgba(x, y) == 0) continue;
+            left = Math.min(left, x); right = Math.max(right, x);
+            top = Math.min(top, y); bottom = Math.max(bottom, y);
+        }
+    }
+    if (right < 0) return null;
+    right = Math.min(right, left + maxBrushSize - 1);
+    bottom = Math.min(bottom, top + maxBrushSize - 1);
+    let xCenter = left + Math.floor((right - left) / 2), yCenter = top + Math.floor((bottom - top) / 2);
+    let stamp = [];
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            if (picture.rgba(x, y) != 0) stamp.push({dx: x - xCenter, dy: y - yCenter});
+        }
+    }
+    return stamp;
+}
+
+
+// ====== Shape Options ==================================================
+
+
+// The thickest outline the shape tools draw.
+const maxStrokeWidth = 16;
+
+// Creates the options of the shape tools: whether shapes are filled in or only drawn as an outline,
+// and how many pixels thick the outline is.
+class ShapeControl {
+    constructor(state, {dispatch}) {
+        this.mode = elt("select", {
+            onchange: () => dispatch({shapeMode: this.mode.value})
+        }, elt("option", {value: "filled"}, "Filled"), elt("option", {value: "outline"}, "Outline"));
+        this.strokeWidth = elt("input", {
+            type: "number",
+            className: "stroke-width",
+            title: "Outline width",
+            min: 1,
+            max: maxStrokeWidth,
+            onchange: () => {
+                let strokeWidth = Math.round(Number(this.strokeWidth.value)) || 1;
+                dispatch({strokeWidth: Math.min(Math.max(strokeWidth, 1), maxStrokeWidth)});
+            }
+        });
+        this.dom = elt("label", {className: "tool-label"}, "Shape: ", this.mode, " ", this.strokeWidth);
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.mode.value = state.shapeMode;
+        this.strokeWidth.value = state.strokeWidth;
+        this.strokeWidth.disabled = state.shapeMode != "outline";
+    }
+}
+
+// Keeps only the edge of a filled shape, "width" pixels thick.
+// A pixel is on the edge when it is less than "width" steps (left, right, up or down) away from the outside,
+// which gives a one pixel outline without any doubled up corners.
+function outlinePixels(pixels, width) {
+    if (pixels.length == 0) return pixels;
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    for (let {x, y} of pixels) {
+        left = Math.min(left, x); right = Math.max(right, x);
+        top = Math.min(top, y); bottom = Math.max(bottom, y);
+    }
+    let w = right - left + 1, h = bottom - top + 1;
+    // 0 is outside the shape, otherwise how many steps the pixel is from the outside (once it's known).
+    let steps = new Int32Array(w * h);
+    for (let {x, y} of pixels) steps[(x - left) + (y - top) * w] = -1;
+    let inside = (x, y) => x >= 0 && x < w && y >= 0 && y < h && steps[x + y * w] != 0;
+    let edge = [];
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (steps[x + y * w] == 0) continue;
+            if (around.some(({dx, dy}) => !inside(x + dx, y + dy))) {
+                steps[x + y * w] = 1;
+                edge.push({x, y});
+            }
+        }
+    }
+    // Walks inwards from the edge one step at a time until the outline is thick enough.
+    for (let i = 0; i < edge.length; i++) {
+        let {x, y} = edge[i], next = steps[x + y * w] + 1;
+        if (next > width) continue;
+        for (let {dx, dy} of around) {
+            if (inside(x + dx, y + dy) && steps[x + dx + (y + dy) * w] == -1) {
+                steps[x + dx + (y + dy) * w] = next;
+                edge.push({x: x + dx, y: y + dy});
+            }
+        }
+    }
+    return edge.map(({x, y}) => ({x: x + left, y: y + top}));
+}
+
+// Turns the pixels of a filled shape into what the shape tools draw, following the shape options.
+function shapePixels(pixels, state) {
+    if (state.shapeMode == "outline") pixels = outlinePixels(pixels, state.strokeWidth);
+    return pixels.map(({x, y}) => ({x, y, color: state.color}));
+}
+
+
+// ====== Fill Options ==================================================
+
+
+// Creates the options of the fill tool: whether it fills the connected area or every pixel of the same color,
+// how different a color may be and still get filled, and whether pixels only touching at a corner are connected.
+class FillControl {
+    constructor(state, {dispatch}) {
+        this.mode = elt("select", {
+            onchange: () => dispatch({fillMode: this.mode.value})
+        }, elt("option", {value: "contiguous"}, "Contiguous"), elt("option", {value: "global"}, "Global"));
+        this.tolerance = elt("input", {
+            type: "number",
+            className: "fill-tolerance",
+            title: "Tolerance (0 - 255)",
+            min: 0,
+            max: 255,
+            onchange: () => {
+                let fillTolerance = Math.round(Number(this.tolerance.value)) || 0;
+                dispatch({fillTolerance: Math.min(Math.max(fillTolerance, 0), 255)});
+            }
+        });
+        this.diagonal = elt("input", {
+            type: "checkbox",
+            onchange: () => dispatch({fillDiagonal: this.diagonal.checked})
+        });
+        this.dom = elt("span", {},
+            elt("label", {className: "tool-label"}, "Fill: ", this.mode, " ", this.tolerance), " ",
+            elt("label", {className: "tool-label"}, "8-way: ", this.diagonal));
+        this.syncState(state);
+    }
+    syncState(state) {
+        this.mode.value = state.fillMode;
+        this.tolerance.value = state.fillTolerance;
+        this.diagonal.checked = state.fillDiagonal;
+        this.diagonal.disabled = state.fillMode == "global";
+    }
+}
+
+
+// ====== Selection ==================================================
 
-// ====== The Canvas ==================================================
 
+// Represents the selected pixels: a box ("left", "top", "width", "height") with a 1 in "mask" for every pixel
+// in it that is selected. The box can stick out of the picture, so nothing is lost while moving it around.
+class Selection {
+    constructor(left, top, width, height, mask) {
+        this.left = left;
+        this.top = top;
+        this.width = width;
+        this.height = height;
+        this.mask = mask;
+    }
 
-// Defines how large our pixels will be. 
-// (In this case 10 pixels x 10 pixels)
-const scale = 10;
+    // Selects every pixel of the rectangle between two corners (both included).
+    static rectangle(from, to) {
+        let left = Math.min(from.x, to.x), top = Math.min(from.y, to.y);
+        let width = Math.abs(to.x - from.x) + 1, height = Math.abs(to.y - from.y) + 1;
+        return new Selection(left, top, width, height, new Uint8Array(width * height).fill(1));
+    }
 
-// Responsible for creating the canvas and redraws the canvas whenever it changes.
-// Sets up the user input for the canvas.
-class PictureCanvas {
-    constructor(picture, pointerDown) {
-        this.dom = elt("canvas", {
-            onmousedown: event => this.mouse(event, pointerDown),
-            ontouchstart: event => this.touch(event, pointerDown)
+    // Selects every pixel inside of the shape the points go around (in order, and back to the first one),
+    // along with the pixels on its edge.
+    static lasso(points) {
+        let xs = points.map(p => p.x), ys = points.map(p => p.y);
+        let left = Math.min(...xs), top = Math.min(...ys);
+        let width = Math.max(...xs) - left + 1, height = Math.max(...ys) - top + 1;
+        let mask = new Uint8Array(width * height);
+        // Fills every row between the places where it crosses the edge (every other crossing is going back out).
+        for (let y = top; y < top + height; y++) {
+            let crossings = [];
+            points.forEach((a, i) => {
+                let b = points[(i + 1) % points.length];
+                if ((a.y <= y && y < b.y) || (b.y <= y && y < a.y)) {
+                    crossings.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            });
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                for (let x = Math.ceil(crossings[i]); x <= Math.floor(crossings[i + 1]); x++) {
+                    mask[(x - left) + (y - top) * width] = 1;
+                }
+            }
+        }
+        points.forEach((a, i) => {
+            for (let {x, y} of linePixels(a, points[(i + 1) % points.length])) mask[(x - left) + (y - top) * width] = 1;
         });
-        this.syncState(picture);
+        return new Selection(left, top, width, height, mask);
     }
-    syncState(picture) {
-        if (this.picture == picture) return;
 
-        if (this.picture) {
-            drawPicture(picture, this.dom, scale, this.picture);
-        } else {
-            drawPicture(picture, this.dom, scale);
-        }
-        this.picture = picture;
+    // Checks whether the pixel at (x, y) is selected.
+    has(x, y) {
+        x -= this.left;
+        y -= this.top;
+        return x >= 0 && x < this.width && y >= 0 && y < this.height && this.mask[x + y * this.width] == 1;
     }
-}
 
-// Renders the changes to the Picture to visually reflect the pixel data
-function drawPicture(picture, canvas, scale, prevPicture) {
-    // Check if the height or width of the picture has changed.
-    if (canvas.width !== picture.width * scale 
-        || canvas.height !== picture.height * scale) 
-        {
-            canvas.width = picture.width * scale;
-            canvas.height = picture.height * scale;
-            prevPicture = null;
+    // Puts this selection together with another one: "add" selects the pixels selected in either of them,
+    // "subtract" the ones in this selection but not in the other one and "intersect" the ones in both.
+    // Returns "null" when nothing is left.
+    combine(other, mode) {
+        let left = Math.min(this.left, other.left), top = Math.min(this.top, other.top);
+        let width = Math.max(this.left + this.width, other.left + other.width) - left;
+        let height = Math.max(this.top + this.height, other.top + other.height) - top;
+        let mask = new Uint8Array(width * height);
+        let empty = true;
+        for (let y = top; y < top + height; y++) {
+            for (let x = left; x < left + width; x++) {
+                let a = this.has(x, y), b = other.has(x, y);
+                if (mode == "add" ? a || b : mode == "subtract" ? a && !b : a && b) {
+                    mask[(x - left) + (y - top) * width] = 1;
+                    empty = false;
+                }
+            }
         }
-    let cx = canvas.getContext("2d");
+        return empty ? null : new Selection(left, top, width, height, mask);
+    }
 
-    for (let y = 0; y < picture.height; y++) {
-        for (let x = 0; x < picture.width; x++) {
-            // The pixel will only be drawn if it is different than the last picture.
-            // In a previous version it would redraw the entire picture.
-            if (!prevPicture || picture.pixel(x, y) !== prevPicture.pixel(x, y)) {
-                cx.fillStyle = picture.pixel(x, y);
-                cx.fillRect(x * scale, y * scale, scale, scale);
-            }
-        };
-    };
-}
+    // Returns the same selection moved "dx" pixels right and "dy" pixels down.
+    moved(dx, dy) {
+        return new Selection(this.left + dx, this.top + dy, this.width, this.height, this.mask);
+    }
 
-// Lets the user hold down left click in order to draw lines.
-// Checks whether or not the user is holding down left click and either removes or adds an eventListener.
-PictureCanvas.prototype.mouse = function(downEvent, onDown) {
-    if (downEvent.button != 0) return;
-    let pos = pointerPosition(downEvent, this.dom);
-    let onMove = onDown(pos);
-    if (!onMove) return;
-    let lastPosition = pos;
-    let move = moveEvent => {
-        if (moveEvent.buttons == 0) {
-            this.dom.removeEventListener("mousemove", move);
-        } else {
-            let newPosition = pointerPosition(moveEvent, this.dom);
-            if (newPosition.x == lastPosition.x && newPosition.y == lastPosition.y) return;
-            let xDistance = newPosition.x - lastPosition.x;
-            let yDistance = newPosition.y - lastPosition.y;
-            let steps = Math.max(Math.abs(xDistance), Math.abs(yDistance));
-            for (let i = 1; i <= steps; i++) {
-                let x = Math.round(lastPosition.x + (xDistance * i) / steps);
-                let y = Math.round(lastPosition.y + (yDistance * i) / steps);
-                onMove({x, y});
+    // Lists the selected pixels that are inside of a picture.
+    pixels(picture) {
+        let pixels = [];
+        for (let y = Math.max(this.top, 0); y < Math.min(this.top + this.height, picture.height); y++) {
+            for (let x = Math.max(this.left, 0); x < Math.min(this.left + this.width, picture.width); x++) {
+                if (this.has(x, y)) pixels.push({x, y});
             }
-            lastPosition = newPosition;
         }
-    };
-    this.dom.addEventListener("mousemove", move);
-};
-
+        return pixels;
+    }
 
-// Calculates the position of the pixel where an event occurred.
-// (Were the user makes changes)
-function pointerPosition(pos, domNode) {
-    let rect = domNode.getBoundingClientRect();
-    return {
-        x: Math.floor((pos.clientX - rect.left) / scale),
-        y: Math.floor((pos.clientY - rect.top) / scale)
-    };
-};
+    // Returns the picture "from", but with the selected pixels taken from the picture "to".
+    clip(from, to) {
+        let copy = from.pixels.slice();
+        for (let {x, y} of this.pixels(from)) copy[x + y * from.width] = to.pixels[x + y * from.width];
+        return new Picture(from.width, from.height, copy);
+    }
+}
 
-// Does the same thing as the "prototype.mouse", but for touch screens.
-PictureCanvas.prototype.touch = function (startEvent, onDown) {
-    let pos = pointerPosition(startEvent.touches[0], this.dom);
-    let onMove = onDown(pos);
-    startEvent.preventDefault();
-    if (!onMove) return;
-    let move = moveEvent => {
-        let newPos = pointerPosition(moveEvent.touches[0], this.dom);
-        if (newPos.x == pos.x && newPos.y == pos.y) return;
-        pos = newPos;
-        onMove(newPos);
-    };
-    let end = () => {
-        this.dom.removeEventListener("touchmove", move);
-        this.dom.removeEventListener("touchend", end);
-    };
-    this.dom.addEventListener("touchmove", move);
-    this.dom.addEventListener("touchend", end);
-};
+// The tools that change the selection instead of drawing, so they aren't kept inside of it (or mirrored).
+const selectionTools = ["select", "lasso", "wand"];
 
+// The tools that change the whole layer at once, so they aren't kept inside of the selection (or mirrored).
+const wholeLayerTools = ["offset"];
 
-// ====== The Application ==================================================
+// Works out the new selection when a selection tool selects "selected", from the selection there was before.
+// Holding shift adds to it, alt takes away from it, and both together keep only what's in both.
+// Without either, "selected" replaces it.
+function combineSelection(before, selected, {shift, alt}) {
+    if (!shift && !alt) return selected;
+    if (!before) return alt ? null : selected;
+    return before.combine(selected, shift && alt ? "intersect" : shift ? "add" : "subtract");
+}
 
+// Turns a tool into one that only changes the pixels inside of the selection.
+// Nothing outside of it changes during a stroke, so the picture from before the stroke is used for those.
+function clipTool(tool, selection) {
+    return (start, state, dispatch) => {
+        let before = state.picture;
+        return tool(start, state, action => {
+            if (action.picture) action = Object.assign({}, action, {picture: selection.clip(before, action.picture)});
+            dispatch(action);
+        });
+    };
+}
 
-// This is the container in which all of the components go into.
-// It holds the canvas, tools, and updates the state and UI.
-class PixelEditor {
-    constructor(state, config) {
-        let {tools, controls, dispatch} = config;
-        this.state = state;
+// Picks up the selected (not transparent) pixels, so they can be moved around without wiping out what's
+// underneath them. "under" is the picture without them, and "picture" is the picture with them put down.
+// A floating selection stays around until something else changes the picture.
+function liftSelection(state) {
+    let {picture, selection} = state;
+    let selected = selection.pixels(picture);
+    let pixels = selected.filter(({x, y}) => picture.rgba(x, y) != 0)
+        .map(({x, y}) => ({x, y, color: picture.pixel(x, y)}));
+    let under = picture.draw(selected.map(({x, y}) => ({x, y, color: null})));
+    return {under, pixels, picture};
+}
 
-        this.canvas = new PictureCanvas(state.picture, pos => {
-            let tool = tools[this.state.tool];
-            let onMove = tool(pos, this.state, dispatch);
-            if (onMove) {
-                return pos => onMove(pos, this.state);
-            };
-        });
-        this.controls = controls.map(
-            Control => new Control(state, config));
-        this.dom = elt("div", {tabIndex: 0, className: "editor-container"},
-                        elt("div", {}, ...this.controls.reduce(
-                            (a, c) => a.concat(" ", c.dom), [])),
-                        elt("br"), elt ("br"), elt ("br"), this.canvas.dom);
+// Allows the user to click and drag to select a rectangular area of pixels.
+// Dragging from inside of the selection moves the selected pixels (and the selection) instead,
+// and a click outside of it without dragging selects nothing.
+// With shift or alt held the rectangle is put together with the selection instead (see "combineSelection").
+function select(start, state, dispatch) {
+    let {selection} = state;
+    if (start.shift || start.alt) {
+        return pos => dispatch({selection: combineSelection(selection, Selection.rectangle(start, pos), start), floating: null});
     }
-    syncState(state) {
-        this.state = state;
-        this.canvas.syncState(state.picture);
-        for (let ctrl of this.controls) {
-            ctrl.syncState(state);
-        }
+    if (selection && selection.has(start.x, start.y)) {
+        let floating = state.floating && state.floating.picture == state.picture ? state.floating : liftSelection(state);
+        return pos => {
+            let dx = pos.x - start.x, dy = pos.y - start.y;
+            let pixels = floating.pixels.map(({x, y, color}) => ({x: x + dx, y: y + dy, color}));
+            let picture = floating.under.draw(pixels);
+            dispatch({picture, selection: selection.moved(dx, dy), floating: {under: floating.under, pixels, picture}});
+        };
     }
+    dispatch({selection: null, floating: null});
+    return pos => dispatch({selection: Selection.rectangle(start, pos)});
 }
 
-class CanvasSizeSelect {
-    constructor(state, {sizes, dispatch}) {
-        this.select = elt("select", {
-            id: "canvas-size",
-            onchange: () => {
-                const [w, h] = this.select.value.split("x").map(Number);
-                let newPicture = Picture.empty(w, h, "#f0f0f0");
-                dispatch({
-                    size: this.select.value,
-                    picture: newPicture,
-                    done: [],
-                    doneAt: 0
-                });
-            }
-        }, ...sizes.map(size => elt("option", {
-            selected: size == state.size
-        }, size)));
-        this.dom = elt("label", {
-            className: "tool-label"
-        }, "Canvas Size: ", this.select);
-    }
-    syncState(state) {
-        this.select.value = state.size;
+// Allows the user to draw around the pixels to select (it's closed with a straight line back to the start).
+// Works with shift and alt just like the select tool.
+function lasso(start, state, dispatch) {
+    let points = [start];
+    function drawLasso(pos) {
+        if (pos != start) points.push(pos);
+        dispatch({selection: combineSelection(state.selection, Selection.lasso(points), start), floating: null});
     }
+    drawLasso(start);
+    return drawLasso;
 }
 
-// Creates a dropdown select menu listing the available tools.
-// Updates the state to reflect the tool the user has chosen.
-class ToolSelect {
-    constructor(state,  {tools, dispatch}) {
-        this.select = elt("select",  {
-            id: "tools",
-            onchange: () => dispatch({tool: this.select.value})
-        }, ...Object.keys(tools).map(name => elt("option", {
-            selected: name == state.tool
-        }, name)));
-        this.dom = elt("label", {
-            className: "tool-label"
-        }, "Tool: ", this.select);
-    }
-    syncState(state) {
-        this.select.value = state.tool;
-    }
+// Selects the area of the same color as the clicked pixel (a magic wand), following the options of the fill tool.
+// Works with shift and alt just like the select tool.
+function wand(pos, state, dispatch) {
+    let {width, height} = state.picture;
+    if (pos.x < 0 || pos.x >= width || pos.y < 0 || pos.y >= height) return;
+    let area = fillArea(state.picture, pos.x, pos.y, {
+        tolerance: state.fillTolerance,
+        global: state.fillMode == "global",
+        diagonal: state.fillDiagonal
+    });
+    let selected = new Selection(0, 0, width, height, area);
+    dispatch({selection: combineSelection(state.selection, selected, pos), floating: null});
 }
 
+// Allows the user to drag the current layer around, with the pixels that fall off one edge
+// coming back in on the other side (handy for checking the seams of a tile).
+function offset(start, state, dispatch) {
+    return pos => dispatch({picture: state.picture.offset(pos.x - start.x, pos.y - start.y)});
+}
 
-// Creates an element using the browser's built in color picker.
-// Updates the state to reflect the chosen color.
-class ColorSelect {
+// Copies the selected pixels of the current layer, so they can be pasted again.
+function copySelection(state) {
+    let {picture, selection} = state;
+    let pixels = selection.pixels(picture).filter(({x, y}) => picture.rgba(x, y) != 0)
+        .map(({x, y}) => ({x, y, color: picture.pixel(x, y)}));
+    return {clipboard: {selection, pixels}};
+}
+
+// Makes the selected pixels of the current layer transparent.
+function deleteSelection(state) {
+    let cleared = state.selection.pixels(state.picture).map(({x, y}) => ({x, y, color: null}));
+    return {picture: state.picture.draw(cleared), floating: null, label: "Delete"};
+}
+
+// Copies the selected pixels and then deletes them.
+function cutSelection(state) {
+    return Object.assign(deleteSelection(state), copySelection(state), {label: "Cut"});
+}
+
+// Puts the copied pixels back where they were copied from, selected and floating (see "liftSelection"),
+// so they can be dragged into place.
+function pasteClipboard(state) {
+    let {selection, pixels} = state.clipboard;
+    let picture = state.picture.draw(pixels);
+    return {picture, selection, floating: {under: state.picture, pixels, picture}, label: "Paste"};
+}
+
+// Creates the buttons for copying, cutting, pasting and deleting the selected pixels, and for selecting nothing.
+class SelectionControl {
     constructor(state, {dispatch}) {
-        this.input = elt("input", {
-            type: "color",
-            value: state.color, 
-            onchange: () => dispatch({color: this.input.value})
-        });
-        this.dom = elt("label", {
-            className: "tool-label"
-        }, "Color!: ", this.input);
+        let button = (id, text, title, action) => elt("button", {
+            id,
+            title,
+            className: "selection-btn",
+            onclick: () => dispatch(action(this.state))
+        }, text);
+        this.copy = button("copy-button", "COPY", "Copy the selected pixels (Ctrl/Cmd + C)", copySelection);
+        this.cut = button("cut-button", "CUT", "Cut the selected pixels (Ctrl/Cmd + X)", cutSelection);
+        this.paste = button("paste-button", "PASTE", "Paste the copied pixels (Ctrl/Cmd + V)", pasteClipboard);
+        this.delete = button("delete-button", "DELETE", "Make the selected pixels transparent (Delete)", deleteSelection);
+        this.deselect = button("deselect-button", "DESELECT", "Select nothing (Escape)",
+            () => ({selection: null, floating: null}));
+        this.dom = elt("span", {}, this.copy, " ", this.cut, " ", this.paste, " ", this.delete, " ", this.deselect);
+        this.syncState(state);
     }
     syncState(state) {
-        this.input.value = state.color;
+        this.state = state;
+        for (let button of [this.copy, this.cut, this.delete, this.deselect]) button.disabled = !state.selection;
+        this.paste.disabled = !state.clipboard;
     }
 }
 
@@ -270,38 +2360,177 @@ class ColorSelect {
 
 // This is where the a pixel the user clicks actually changes.
 // Dispatch and action to update the pictuer with the new data.
+// Every pixel the brush covers (see "brushOffsets") gets the color.
+// In pixel perfect mode a one pixel brush leaves out the corner pixels that turn a diagonal into an "L",
+// by putting back the pixel from before the stroke.
 function draw(pos, state, dispatch) {
+    let before = state.picture;
+    let path = [];
     function drawPixel({x, y}, state) {
-        let drawn = {x, y, color: state.color};
-        dispatch({picture: state.picture.draw([drawn])});
+        let offsets = brushOffsets(state);
+        let drawn = offsets.map(({dx, dy}) => ({x: x + dx, y: y + dy, color: state.color}));
+        if (state.pixelPerfect && offsets.length == 1) {
+            path.push({x, y});
+            let [a, b, c] = path.slice(-3);
+            if (c && Math.abs(a.x - c.x) == 1 && Math.abs(a.y - c.y) == 1 &&
+                ((b.x == a.x && b.y == c.y) || (b.y == a.y && b.x == c.x))) {
+                let corner = {x: b.x + offsets[0].dx, y: b.y + offsets[0].dy};
+                drawn.push({x: corner.x, y: corner.y, color: before.pixel(corner.x, corner.y)});
+                path.splice(path.length - 2, 1);
+            }
+        }
+        dispatch({picture: state.picture.draw(drawn)});
     }
     drawPixel(pos, state);
     return drawPixel;
 }
 
+// Works just like drawing, but makes the pixels transparent again.
+function erase(pos, state, dispatch) {
+    let transparent = state => Object.assign({}, state, {color: null});
+    let onMove = draw(pos, transparent(state), dispatch);
+    return (pos, state) => onMove(pos, transparent(state));
+}
+
 
 // Allows the user to click and drag to select a rectangular area of pixels.
-// Pushes each pixel and the color into an array that fills out the rectangle area.
+// Pushes each pixel and the color into an array that fills out the rectangle area (or only its outline).
 function rectangle(start, state, dispatch) {
     function drawRectangle(pos) {
         let xStart = Math.min(start.x, pos.x);
         let yStart = Math.min(start.y, pos.y);
         let xEnd = Math.max(start.x, pos.x);
         let yEnd = Math.max(start.y, pos.y);
-        let drawn = [];
+        let filled = [];
         for (let y = yStart; y <= yEnd; y++) {
             for (let x = xStart; x <= xEnd; x++) {
-                drawn.push({x, y, color: state.color});
+                filled.push({x, y});
             }
         }
-        dispatch({picture: state.picture.draw(drawn)});
+        dispatch({picture: state.picture.draw(shapePixels(filled, state))});
     }
     drawRectangle(start);
     return drawRectangle;
 }
 
-// Allows the user to click and drag to select a circular area of pixels (Similar to the rectangle tool)
-// Pushes each pixel and the color into an array that fills out the circular area. 
+// Finds the pixels of a straight line between two points (both included) with Bresenham's algorithm,
+// so the line is exactly one pixel thick without any doubled up steps.
+function linePixels(from, to) {
+    let pixels = [];
+    let dx = Math.abs(to.x - from.x), dy = -Math.abs(to.y - from.y);
+    let xStep = from.x < to.x ? 1 : -1, yStep = from.y < to.y ? 1 : -1;
+    let error = dx + dy;
+    let {x, y} = from;
+    for (;;) {
+        pixels.push({x, y});
+        if (x == to.x && y == to.y) break;
+        let doubled = 2 * error;
+        if (doubled >= dy) {
+            error += dy;
+            x += xStep;
+        }
+        if (doubled <= dx) {
+            error += dx;
+            y += yStep;
+        }
+    }
+    return pixels;
+}
+
+// Moves "pos" onto the nearest horizontal, vertical or 45 degree diagonal line through "start".
+function constrainAngle(start, pos) {
+    let dx = pos.x - start.x, dy = pos.y - start.y;
+    // Which of the eight directions (in steps of 45 degrees) is the closest.
+    let direction = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+    if (direction == 0 || Math.abs(direction) == 4) return {x: pos.x, y: start.y};
+    if (Math.abs(direction) == 2) return {x: start.x, y: pos.y};
+    let distance = Math.max(Math.abs(dx), Math.abs(dy));
+    return {x: start.x + Math.sign(dx) * distance, y: start.y + Math.sign(dy) * distance};
+}
+
+// Allows the user to click and drag a straight line from where they pressed to the pointer.
+// The line is drawn again on the picture from before the stroke every time the pointer moves,
+// so it shows where it will end up, and stays when the button is let go.
+// Holding shift keeps the line horizontal, vertical or at 45 degrees.
+function line(start, state, dispatch) {
+    function drawLine(pos) {
+        let end = pos.shift ? constrainAngle(start, pos) : pos;
+        let drawn = linePixels(start, end).map(({x, y}) => ({x, y, color: state.color}));
+        dispatch({picture: state.picture.draw(drawn)});
+    }
+    drawLine(start);
+    return drawLine;
+}
+
+// Works out the corners of the box an ellipse is drawn in, from where the user pressed and where the pointer is.
+// Holding shift makes the box square (for a perfect circle) and holding alt grows it from the pressed pixel
+// as the center instead of as a corner.
+function ellipseBox(start, pos) {
+    let dx = pos.x - start.x, dy = pos.y - start.y;
+    if (pos.shift) {
+        let size = Math.max(Math.abs(dx), Math.abs(dy));
+        dx = (dx < 0 ? -1 : 1) * size;
+        dy = (dy < 0 ? -1 : 1) * size;
+    }
+    let from = pos.alt ? {x: start.x - dx, y: start.y - dy} : start;
+    let to = {x: start.x + dx, y: start.y + dy};
+    return {
+        left: Math.min(from.x, to.x), top: Math.min(from.y, to.y),
+        right: Math.max(from.x, to.x), bottom: Math.max(from.y, to.y)
+    };
+}
+
+// Finds the pixels of a filled ellipse that fits exactly in a box (the edges included).
+// A pixel belongs to the ellipse when its center is inside it, so the ellipse is the same on every side.
+function ellipsePixels({left, top, right, bottom}) {
+    let xCenter = (left + right) / 2, yCenter = (top + bottom) / 2;
+    let xRadius = (right - left + 1) / 2, yRadius = (bottom - top + 1) / 2;
+    let pixels = [];
+    for (let y = top; y <= bottom; y++) {
+        let dy = (y - yCenter) / yRadius;
+        let span = xRadius * Math.sqrt(1 - dy * dy);
+        for (let x = left; x <= right; x++) {
+            if (Math.abs(x - xCenter) <= span) pixels.push({x, y});
+        }
+    }
+    return pixels;
+}
+
+// Allows the user to click and drag out the box an oval is drawn in (filled in or only its outline).
+// Just like the line, it's drawn again on the picture from before the stroke every time the pointer moves.
+function ellipse(start, state, dispatch) {
+    function drawEllipse(pos) {
+        let filled = ellipsePixels(ellipseBox(start, pos));
+        dispatch({picture: state.picture.draw(shapePixels(filled, state))});
+    }
+    drawEllipse(start);
+    return drawEllipse;
+}
+
+// Works out how far a circle of "radius" reaches to the left and right of its center on each row
+// (indexed by how far the row is above or below the center) with the midpoint circle algorithm,
+// so even small circles come out round and the same on every side.
+function circleSpans(radius) {
+    let spans = new Array(radius + 1).fill(0);
+    let x = radius, y = 0, error = 1 - radius;
+    while (x >= y) {
+        spans[y] = Math.max(spans[y], x);
+        spans[x] = Math.max(spans[x], y);
+        y++;
+        if (error < 0) {
+            error += 2 * y + 1;
+        } else {
+            x--;
+            error += 2 * (y - x) + 1;
+        }
+    }
+    return spans;
+}
+
+// Allows the user to click and drag out a circle around the pixel they pressed (filled in or only its outline).
+// Just like the line, it's drawn again on the picture from before the stroke every time the pointer moves,
+// so it shows where it will end up, and stays when the button is let go. A click on its own draws a single pixel.
+// The radius is shown next to the pointer while dragging.
 function circle(start, state, dispatch) {
     function drawCircle(pos) {
         // Center is always the initial click
@@ -309,28 +2538,21 @@ function circle(start, state, dispatch) {
         let yCenter = start.y;
 
         let radius = Math.round(Math.sqrt(Math.pow(pos.x - start.x, 2) + Math.pow(pos.y - start.y, 2)));
-        
-        let xStart = xCenter - radius;
-        let xEnd = xCenter + radius;
-        let yStart = yCenter - radius;
-        let yEnd = yCenter + radius;
+        let spans = circleSpans(radius);
 
-        let drawn = [];
-        for (let y = yStart; y <= yEnd; y++) {
-            for (let x = xStart; x <= xEnd; x++) {
-                let dx = x - xCenter;
-                let dy = y - yCenter;
-                let distance = Math.sqrt(dx * dx + dy * dy);
-                if (distance <= radius) {
-                    // Only draw if inside the canvas bounds
-                    if (x >= 0 && x < state.picture.width && y >= 0 && y < state.picture.height) {
-                        drawn.push({x, y, color: state.color});
-                    }
-                }
+        let filled = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            let span = spans[Math.abs(dy)];
+            for (let dx = -span; dx <= span; dx++) {
+                filled.push({x: xCenter + dx, y: yCenter + dy});
             }
         }
-        dispatch({picture: state.picture.draw(drawn)});
+        dispatch({
+            picture: state.picture.draw(shapePixels(filled, state)),
+            readout: {x: pos.x, y: pos.y, text: `r = ${radius}`}
+        });
     }
+    drawCircle(start);
     return drawCircle;
 }
 
@@ -343,22 +2565,72 @@ const around = [
 ];
 
 
-// Calculates all of the pixels in one area of the same color and adds them to an array.
-// Changes all of the array's pixels to the selected color.
-function fill({x, y}, state, dispatch) {
-    let targetColor = state.picture.pixel(x, y);
-    let drawn = [{x, y, color: state.color}];
-    for (let done = 0; done < drawn.length; done++) {
-        for (let {dx, dy} of around) { // Here's where we use the directions defined by the "around" variable.
-            let x = drawn[done].x + dx, y = drawn[done].y + dy;
-            if (x >= 0 && x < state.picture.width &&
-                y >= 0 && y < state.picture.height &&
-                state.picture.pixel (x, y) == targetColor &&
-                !drawn.some(p => p.x == x && p.y == y)) {
-                drawn.push({x, y, color: state.color});
-                }
+// Works out how different two packed colors are: the biggest difference between any of their
+// red, green, blue or alpha bytes (0 for the same color, up to 255).
+function colorDistance(a, b) {
+    let distance = 0;
+    for (let shift = 0; shift < 32; shift += 8) {
+        distance = Math.max(distance, Math.abs(((a >>> shift) & 0xff) - ((b >>> shift) & 0xff)));
+    }
+    return distance;
+}
+
+// Finds the area of pixels with (nearly) the same color as the pixel at (x, y), as an array with
+// a 1 for every pixel in the area. "tolerance" is how different a color may be and still count (see "colorDistance").
+// Normally only the pixels connected to (x, y) count, left, right, up or down (or also diagonally with "diagonal").
+// With "global" every matching pixel of the picture counts, connected or not.
+function fillArea(picture, x, y, {tolerance = 0, global = false, diagonal = false} = {}) {
+    let {width, height, pixels} = picture;
+    let target = picture.rgba(x, y);
+    let matches = index => pixels[index] == target ||
+        (tolerance > 0 && colorDistance(pixels[index], target) <= tolerance);
+    let area = new Uint8Array(width * height);
+    if (global) {
+        for (let index = 0; index < area.length; index++) {
+            if (matches(index)) area[index] = 1;
+        }
+        return area;
+    }
+    // Fills a whole row at a time (a scanline), so every pixel is only looked at a few times.
+    let stack = [{x, y}];
+    while (stack.length > 0) {
+        let {x, y} = stack.pop();
+        let row = y * width;
+        if (area[row + x]) continue;
+        let left = x, right = x;
+        while (left > 0 && !area[row + left - 1] && matches(row + left - 1)) left--;
+        while (right < width - 1 && !area[row + right + 1] && matches(row + right + 1)) right++;
+        area.fill(1, row + left, row + right + 1);
+        // Looks for the parts of the rows above and below that carry on from this one (corners included when diagonal).
+        let from = diagonal ? Math.max(left - 1, 0) : left;
+        let to = diagonal ? Math.min(right + 1, width - 1) : right;
+        for (let next of [y - 1, y + 1]) {
+            if (next < 0 || next >= height) continue;
+            let inRun = false;
+            for (let nx = from; nx <= to; nx++) {
+                let open = !area[nx + next * width] && matches(nx + next * width);
+                if (open && !inRun) stack.push({x: nx, y: next});
+                inRun = open;
             }
         }
+    }
+    return area;
+}
+
+// Calculates all of the pixels in one area of the same color (following the fill options) and adds them to an array.
+// Changes all of the array's pixels to the selected color.
+function fill({x, y}, state, dispatch) {
+    let {width, height} = state.picture;
+    if (x < 0 || x >= width || y < 0 || y >= height) return;
+    let area = fillArea(state.picture, x, y, {
+        tolerance: state.fillTolerance,
+        global: state.fillMode == "global",
+        diagonal: state.fillDiagonal
+    });
+    let drawn = [];
+    for (let index = 0; index < area.length; index++) {
+        if (area[index]) drawn.push({x: index % width, y: Math.floor(index / width), color: state.color});
+    }
     dispatch({picture: state.picture.draw(drawn)});
 }
 
@@ -366,14 +2638,18 @@ function fill({x, y}, state, dispatch) {
 // Simply changes the selected color to that of a pixel that has been selected.
 // An eyedropper tool, essentially.
 function pick(pos, state, dispatch) {
-    dispatch({color: state.picture.pixel(pos.x, pos.y)});
+    let {width, height} = state.picture;
+    if (pos.x < 0 || pos.x >= width || pos.y < 0 || pos.y >= height) return;
+    let color = state.picture.pixel(pos.x, pos.y);
+    // Transparent pixels of a layer don't have a color to pick.
+    if (color != null) dispatch({color});
 }
 
 
 // ====== Saving and Loading ==================================================
 class SaveButton {
     constructor(state) {
-        this.picture = state.picture;
+        this.state = state;
         this.dom = elt("button", {
             onclick: () => this.save(),
             className: "save-btn"
@@ -386,29 +2662,100 @@ class SaveButton {
             return;
         }
         
-        let canvas = elt("canvas");
-        canvas.width = this.picture.width;
-        canvas.height = this.picture.height;
-        let cx = canvas.getContext("2d");
-
-        for (let y = 0; y < this.picture.height; y++) {
-            for (let x = 0; x < this.picture.width; x++) {
-                let color = this.picture.pixel(x, y);
-                if (color !== "#f0f0f0" && color !== "#F0F0F0") {
-                    cx.fillStyle = color;
-                    cx.fillRect(x, y, 1, 1);
-                }
-            }
+        let {layers, frame} = this.state;
+        let {width, height} = layers[0].cels[frame];
+
+        // The visible layers of the active frame are flattened into the one image, bottom to top.
+        // Transparent pixels stay transparent in the saved PNG.
+        let pixels = new Uint32Array(width * height);
+        for (let i = 0; i < pixels.length; i++) {
+            pixels[i] = compositePixel(layers, frame, i);
         }
+        let blob = new Blob([writePNG(new Picture(width, height, pixels))], {type: "image/png"});
+        let url = URL.createObjectURL(blob);
         let link = elt("a", {
-            href: canvas.toDataURL(),
+            href: url,
             download: fileName
         });
         document.body.appendChild(link);
         link.click();
         link.remove();
+        URL.revokeObjectURL(url);
+    }
+    syncState(state) { this.state = state}
+}
+
+
+// The checksum of every byte value, used for the CRC-32 at the end of each PNG chunk.
+const crcTable = Array.from({length: 256}, (_, n) => {
+    for (let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+    return n >>> 0;
+});
+
+// Wraps data in a PNG chunk: its length, its four letter type, the data and a checksum of the type and data.
+function pngChunk(type, data) {
+    let chunk = new Uint8Array(data.length + 12);
+    let view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    let crc = 0xffffffff;
+    for (let i = 4; i < data.length + 8; i++) crc = crcTable[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+    view.setUint32(data.length + 8, (crc ^ 0xffffffff) >>> 0);
+    return chunk;
+}
+
+// Writes a picture as the bytes of a PNG file, straight from its pixels (8 bits of red, green, blue and alpha each).
+// A canvas would round the colors of partly transparent pixels, this keeps every pixel exactly as it is.
+// The pixels are stored as they are instead of compressed, so the file is bigger, but that's fine for pixel art.
+function writePNG(picture) {
+    let {width, height, pixels} = picture;
+    // Every row starts with a 0 (no filter), followed by the bytes of its pixels.
+    let rowLength = width * 4 + 1;
+    let raw = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            putPixel(raw.subarray(y * rowLength + 1), x, pixels[x + y * width]);
+        }
     }
-    syncState(state) { this.picture = state.picture}
+
+    // The rows go into zlib data made of "stored" blocks of at most 65535 bytes each,
+    // followed by the Adler-32 checksum of the rows.
+    let blocks = Math.ceil(raw.length / 65535);
+    let zlib = new Uint8Array(2 + blocks * 5 + raw.length + 4);
+    let view = new DataView(zlib.buffer);
+    zlib[0] = 0x78;
+    zlib[1] = 0x01;
+    let at = 2;
+    for (let block = 0; block < blocks; block++) {
+        let part = raw.subarray(block * 65535, (block + 1) * 65535);
+        zlib[at] = block == blocks - 1 ? 1 : 0;
+        view.setUint16(at + 1, part.length, true);
+        view.setUint16(at + 3, ~part.length & 0xffff, true);
+        zlib.set(part, at + 5);
+        at += 5 + part.length;
+    }
+    let a = 1, b = 0;
+    for (let byte of raw) {
+        a = (a + byte) % 65521;
+        b = (b + a) % 65521;
+    }
+    view.setUint32(at, (b << 16 | a) >>> 0);
+
+    // The header: the size, 8 bits per channel, color type 6 (RGBA), default compression and filters, no interlacing.
+    let header = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 8, 6, 0, 0, 0]);
+    new DataView(header.buffer).setUint32(0, width);
+    new DataView(header.buffer).setUint32(4, height);
+
+    let signature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+    let chunks = [signature, pngChunk("IHDR", header), pngChunk("IDAT", zlib), pngChunk("IEND", new Uint8Array(0))];
+    let file = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (let chunk of chunks) {
+        file.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return file;
 }
 
 
@@ -447,8 +2794,13 @@ function finishLoad(file, dispatch) {
     let reader = new FileReader();
     reader.addEventListener("load", () => {
         let image = elt("img", {
+            // The loaded image replaces the whole document with a single layer.
             onload: () => dispatch({
-                picture: pictureFromImage(image)
+                layers: [new Layer("Background", [pictureFromImage(image)])],
+                layer: 0,
+                frames: [{duration: frameDuration}],
+                frame: 0,
+                label: "Load Image"
             }),
             src: reader.result
         });
@@ -458,23 +2810,21 @@ function finishLoad(file, dispatch) {
 
 
 // Creates a canvas and draws the loaded image onto it.
-// Grabs and converts the image data into usable information (Each pixels color as a hex string).
+// Grabs and converts the image data into usable information (Each pixels color as a packed number).
+// The canvas keeps its colors multiplied by their alpha, so the colors of partly transparent pixels
+// can come back slightly off (fully opaque and fully transparent pixels load exactly).
 function pictureFromImage(image) {
-    let width = Math.min(100, image.width);
-    let height = Math.min(100, image.height);
+    let width = Math.min(maxCanvasSize, image.width);
+    let height = Math.min(maxCanvasSize, image.height);
     let canvas = elt("canvas", {width, height});
     let cx = canvas.getContext("2d");
     cx.drawImage(image, 0, 0);
-    let pixels = [];
+    let pixels = new Uint32Array(width * height);
     let {data} = cx.getImageData(0, 0, width, height);
 
-    function hex(n) {
-        return n.toString(16).padStart(2, "0");
-    }
-
-    for (let i = 0; i < data.length; i += 4) {
-        let [r, g, b] = data.slice(i, i + 3);
-        pixels.push("#" + hex(r) + hex(g) + hex(b));
+    for (let i = 0; i < pixels.length; i++) {
+        let alpha = data[i * 4 + 3];
+        pixels[i] = alpha == 0 ? 0 : (data[i * 4] << 24 | data[i * 4 + 1] << 16 | data[i * 4 + 2] << 8 | alpha) >>> 0;
     }
     return new Picture(width, height, pixels)
 }
@@ -483,27 +2833,89 @@ function pictureFromImage(image) {
 // ====== Undo History ==================================================
 
 
-// Keeps track of the history of the picture.
-// It restores the last picture in history if theres are any.
-// If at least 1 second has passed in between changes, it adds the new picture to history.
-// Otherwise it updates the state with the current action.
-function historyUpdateState(state, action) {
-    if (action.undo == true) {
-        if (state.done.length == 0) return state;
-        return Object.assign({}, state, {
-            picture: state.done[0],
-            done: state.done.slice(1),
-            doneAt: 0
+// How many steps the history keeps by default. Older steps are forgotten.
+const defaultHistoryDepth = 100;
+
+// Records how to turn the document (layers and frames, and which of them are active) "to" back into the document "from", for the history.
+// Only the differences are kept: a picture that "to" still has is just pointed at,
+// and a picture that was drawn on only keeps the pixels that changed.
+function historyEntry(from, to, label) {
+    // Where each picture of "to" can be found.
+    let places = new Map();
+    to.layers.forEach((layer, l) => layer.cels.forEach((picture, f) => {
+        if (!places.has(picture)) places.set(picture, {layer: l, frame: f});
+    }));
+    let layers = from.layers.map(({name, visible, locked, opacity, cels}, l) => ({
+        name, visible, locked, opacity,
+        cels: cels.map((picture, f) => {
+            if (places.has(picture)) return places.get(picture);
+            let base = to.layers[l] && to.layers[l].cels[f];
+            if (base && base.width == picture.width && base.height == picture.height) {
+                return {layer: l, frame: f, changes: base.diff(picture)};
+            }
+            return {picture};
+        })
+    }));
+    return {label, frames: from.frames, layer: from.layer, frame: from.frame, layers};
+}
+
+// Rebuilds the document that a history entry was recorded from, out of the document it was recorded against.
+function restoreEntry(state, entry) {
+    let layers = entry.layers.map(({name, visible, locked, opacity, cels}) => new Layer(name, cels.map(cel => {
+        if (cel.picture) return cel.picture;
+        let picture = state.layers[cel.layer].cels[cel.frame];
+        return cel.changes ? picture.patch(cel.changes) : picture;
+    }), visible, locked, opacity));
+    return {layers, frames: entry.frames, layer: entry.layer, frame: entry.frame};
+}
+
+// Undoes (or redoes) a single step of the history.
+// The restored document is recorded the other way around, so the step can be redone (or undone) again.
+function historyStep(state, undo) {
+    let [from, to] = undo ? ["done", "undone"] : ["undone", "done"];
+    if (state[from].length == 0) return state;
+    let entry = state[from][0];
+    let restored = restoreEntry(state, entry);
+    return layerUpdateState(state, Object.assign(restored, {
+        [from]: state[from].slice(1),
+        [to]: [historyEntry(state, restored, entry.label), ...state[to]],
+        stroke: null
+    }));
+}
+
+// Keeps track of the history of the document, keeping at most "depth" steps.
+// Undoing restores the last step in "done" and keeps the current document in "undone", so it can be redone.
+// Redoing does the same the other way around. Both can jump several "steps" at once.
+// When the document changes, everything that was undone is thrown away, since it can't be redone anymore.
+// Every change made outside of a stroke is its own step in the history. During a stroke (from pressing
+// to letting go on the canvas) the document from before the stroke is kept in "stroke" and saved as one step at the end.
+function historyUpdateState(state, action, depth = defaultHistoryDepth) {
+    if (action.undo == true || action.redo == true) {
+        for (let i = 0; i < (action.steps || 1); i++) {
+            state = historyStep(state, action.undo == true);
+        }
+        return state;
+    } else if (action.beginStroke == true) {
+        return updateState(state, {
+            stroke: {layers: state.layers, frames: state.frames, layer: state.layer, frame: state.frame, label: action.label}
         });
-    } else if (action.picture && 
-            state.doneAt < Date.now() - 1000) {
-        return Object.assign({}, state, action, {
-            done: [state.picture, ...state.done],
-            doneAt: Date.now()
+    } else if (action.endStroke == true) {
+        if (!state.stroke) return state;
+        let {layers, frames, label} = state.stroke;
+        // A stroke that didn't change anything (like picking a color) doesn't need a step.
+        if (layers == state.layers && frames == state.frames) return updateState(state, {stroke: null});
+        return updateState(state, {
+            done: [historyEntry(state.stroke, state, label), ...state.done].slice(0, depth),
+            stroke: null
         });
-    } else {
-        return Object.assign({}, state, action);
     }
+    let {label = "Edit", ...change} = action;
+    let next = layerUpdateState(state, change);
+    if (next.layers != state.layers || next.frames != state.frames) {
+        next.undone = [];
+        if (!state.stroke) next.done = [historyEntry(state, next, label), ...state.done].slice(0, depth);
+    }
+    return next;
 }
 
 
@@ -524,41 +2936,141 @@ class UndoButton {
 }
 
 
+// Creates an element (button) used to redo an action that was undone.
+// Disables itself when there is nothing to redo.
+class RedoButton {
+    constructor(state, {dispatch}) {
+        this.dom = elt("button", {
+            id: "redo-button",
+            onclick: () => dispatch({redo: true}),
+            className: "redo-btn",
+            disabled: state.undone.length == 0
+        }, "REDO")
+    }
+    syncState(state) {
+        this.dom.disabled = state.undone.length == 0;
+    }
+}
+
+
+// Lists the steps in the history, oldest first, followed by the steps that can be redone.
+// Clicking a step jumps back (or forward) to the picture right after it.
+class HistoryPanel {
+    constructor(state, {dispatch}) {
+        this.dispatch = dispatch;
+        this.list = elt("div", {className: "history-list"});
+        this.dom = elt("div", {className: "history-panel"},
+            elt("div", {className: "tool-label"}, "History"),
+            this.list);
+        this.syncState(state);
+    }
+    syncState(state) {
+        if (this.done == state.done && this.undone == state.undone) return;
+        this.done = state.done;
+        this.undone = state.undone;
+
+        this.list.textContent = "";
+        this.list.appendChild(this.row("Start", state.done.length == 0, "",
+            {undo: true, steps: state.done.length}));
+        for (let i = state.done.length - 1; i >= 0; i--) {
+            this.list.appendChild(this.row(state.done[i].label, i == 0, "",
+                {undo: true, steps: i}));
+        }
+        state.undone.forEach((entry, i) => {
+            this.list.appendChild(this.row(entry.label, false, " undone",
+                {redo: true, steps: i + 1}));
+        });
+    }
+    // Creates the row for a single step, which dispatches "action" when clicked.
+    row(label, active, className, action) {
+        return elt("div", {
+            className: "history-row" + className + (active ? " active" : ""),
+            onclick: () => {
+                if (action.steps > 0) this.dispatch(action);
+            }
+        }, label);
+    }
+}
+
+
 // ====== "Let's Dance!!!" ==================================================
 
 
 // Sets all of the default settings for the application.
 
 const startState = {
-    size: "30x30",
     tool: "draw", // Sets default tool to "draw".
     color: "#000000", // Sets the default drawing color to black.
-    picture: Picture.empty(30, 30, "#f0f0f0"), // Sets the default background color of the canvas. (grey)
+    secondaryColor: "#ffffff", // The right mouse button draws in white.
+    palette: defaultPalette, // The palette starts out with the basic colors.
+    recentColors: [], // No colors have been drawn with yet.
+    layers: [Layer.empty("Background", 30, 30)], // The canvas starts out transparent.
+    layer: 0, // The tools draw into the background layer to begin with.
+    frames: [{duration: frameDuration}], // Starts with a single frame of animation.
+    frame: 0, // The tools draw into the first frame to begin with.
+    onionSkin: false, // Onion skinning of the neighbouring frames is off by default.
+    playing: false, // The animation preview isn't playing.
     done: [], // Empty's the Undo history.
-    doneAt: 0 // Sets the last time of the last undoable undoable action.
+    undone: [], // Empty's the Redo history.
+    stroke: null, // No stroke is being drawn yet.
+    zoom: 10, // Each pixel is shown 10 x 10 screen pixels large.
+    pan: {x: 0, y: 0}, // The picture sits in the middle of the canvas.
+    pixelGrid: false, // The grid between the pixels is hidden.
+    tileGrid: false, // The tile grid is hidden.
+    tileSize: 8, // The tile grid marks every 8 pixels when it's shown.
+    shapeMode: "filled", // The shape tools fill in their shapes.
+    strokeWidth: 1, // Outlines are one pixel thick.
+    readout: null, // No note is shown next to the pointer.
+    fillMode: "contiguous", // The fill tool only fills the area connected to the clicked pixel.
+    fillTolerance: 0, // The fill tool only fills the exact same color.
+    fillDiagonal: false, // Pixels only touching at a corner aren't part of the same area.
+    brushSize: 1, // The draw tool and the eraser change one pixel at a time.
+    brushShape: "square", // The brush is a square (when it's bigger than a pixel).
+    brushStamp: null, // No custom stamp brush has been grabbed yet.
+    pixelPerfect: false, // Freehand lines keep every pixel the pointer went over.
+    symmetry: "none", // Nothing is mirrored.
+    symmetryAxis: null, // The mirror lines are in the middle of the picture.
+    selection: null, // Nothing is selected, so the tools can draw anywhere.
+    floating: null, // No selected pixels have been picked up to move them.
+    clipboard: null, // Nothing has been copied yet.
+    tiledPreview: false // The picture is shown once, not tiled.
 };
 
 const canvasSizes = ["30x30", "60x60", "90x90"];
 
 // Sets up the list of tools for the user.
-const baseTools = {draw, fill, rectangle, circle, pick};
+const baseTools = {draw, fill, rectangle, circle, pick, line, ellipse, erase, select, lasso, wand, offset};
 
 
 // Sets up the list of UI controls for the user.
 const baseControls = [
-    CanvasSizeSelect, ToolSelect, ColorSelect, SaveButton, LoadButton, UndoButton
+    CanvasSizeSelect, ToolSelect, ColorSelect, SaveButton, LoadButton, UndoButton, RedoButton, LayersPanel, FramesPanel, HistoryPanel, ZoomControl, GridControl,
+    BrushControl, ShapeControl, FillControl, SymmetryControl, SelectionControl, TransformControl,
+    OffsetControl, PaletteControl
 ];
 
 
 // Starts the PixelEditor's engine.
 // Hands all of the components to the PixelEditor class.
-function startPixelEditor({state = startState, sizes= canvasSizes,  tools= baseTools, controls = baseControls}) {
+// "historyDepth" is the number of steps that can be undone.
+function startPixelEditor({state = startState, sizes= canvasSizes,  tools= baseTools, controls = baseControls,
+                           historyDepth = defaultHistoryDepth}) {
+    // A state that only has a single picture becomes a document with one layer and one frame.
+    if (!state.layers) {
+        state = updateState(state, {
+            layers: [new Layer("Background", [state.picture])],
+            layer: 0,
+            frames: [{duration: frameDuration}],
+            frame: 0
+        });
+    }
+    state = layerUpdateState(state, {});
     let app = new PixelEditor(state, {
         sizes,
         tools,
         controls,
         dispatch(action) {
-            state = historyUpdateState(state, action);
+            state = historyUpdateState(state, action, historyDepth);
             app.syncState(state);
         }
     });
@@ -575,9 +3087,41 @@ let tools = document.getElementById("tools");
 
 app.addEventListener("keydown", 
     function (event) {
-        if ((event.ctrlKey || event.metaKey) && event.key == "z") {
+        if (typingInField(event)) return;
+        if ((event.ctrlKey || event.metaKey) && 
+                (event.key == "y" || (event.shiftKey && event.key.toLowerCase() == "z"))) {
+            document.getElementById("redo-button").click();
+            event.preventDefault();
+        } else if ((event.ctrlKey || event.metaKey) && event.key == "z") {
             document.getElementById("undo-button").click();
             event.preventDefault();
+        } else if ((event.ctrlKey || event.metaKey) && event.key == "c") {
+            document.getElementById("copy-button").click();
+            event.preventDefault();
+        } else if ((event.ctrlKey || event.metaKey) && event.key == "x") {
+            document.getElementById("cut-button").click();
+            event.preventDefault();
+        } else if ((event.ctrlKey || event.metaKey) && event.key == "v") {
+            document.getElementById("paste-button").click();
+            event.preventDefault();
+        } else if (event.key == "Delete") {
+            document.getElementById("delete-button").click();
+            event.preventDefault();
+        } else if (event.key == "Escape") {
+            document.getElementById("deselect-button").click();
+            event.preventDefault();
+        } else if (event.key == "x" || event.key == "X") {
+            document.getElementById("swap-colors").click();
+            event.preventDefault();
+        } else if (event.key == "+" || event.key == "=") {
+            document.getElementById("zoom-in").click();
+            event.preventDefault();
+        } else if (event.key == "-") {
+            document.getElementById("zoom-out").click();
+            event.preventDefault();
+        } else if (event.key == "0") {
+            document.getElementById("zoom-fit").click();
+            event.preventDefault();
         } else if (event.key == "1") {
             tools.value = "draw";
             tools.dispatchEvent(new Event("change"));
@@ -598,6 +3142,22 @@ app.addEventListener("keydown",
             tools.value = "pick";
             tools.dispatchEvent(new Event("change"));
             event.preventDefault();
+        } else if (event.key == "6") {
+            tools.value = "line";
+            tools.dispatchEvent(new Event("change"));
+            event.preventDefault();
+        } else if (event.key == "7") {
+            tools.value = "ellipse";
+            tools.dispatchEvent(new Event("change"));
+            event.preventDefault();
+        } else if (event.key == "8") {
+            tools.value = "erase";
+            tools.dispatchEvent(new Event("change"));
+            event.preventDefault();
+        } else if (event.key == "9") {
+            tools.value = "select";
+            tools.dispatchEvent(new Event("change"));
+            event.preventDefault();
         } else {
             console.log("Do Nothing.")
         }